@@ -6,38 +6,255 @@
 
 var _ = require("lodash");
 var helpers = require("./helpers");
+var decorators = require("./decorators");
 var EventEmitter = require("events").EventEmitter;
 var promiseHelpers = require("universal-promise-helpers");
+var TAG = require("./serializer").TAG;
+var patch = require("./patch");
+
+// the registry's methods are exposed as a service, out of the way of application methods
+var SERVICE = "-actors-";
+var CALL = SERVICE + ".call";
+var GET_PROPERTY = SERVICE + ".getProperty";
+var RELEASE = SERVICE + ".release";
+var RENEW = SERVICE + ".renew";
+var LIST = SERVICE + ".list";
+var DESCRIBE = SERVICE + ".describe";
+var SUBSCRIBE = SERVICE + ".subscribe";
+var UNSUBSCRIBE = SERVICE + ".unsubscribe";
+var WATCH = SERVICE + ".watch";
+var UNWATCH = SERVICE + ".unwatch";
+
+// emitted to subscribed nodes when actors are exposed or expire: { event: "register" | "expire", id, type }
+var CHANGE_EVENT = SERVICE + ":change";
+
+// emitted to nodes watching a property of an actor when it changes: (id, name, patch ops)
+var PROPERTY_EVENT = SERVICE + ":property";
+
+// how actors returned by reference are sent: `{ "$rpcjs": "Actor", "id": "-ref-1" }`
+var REFERENCE_TYPE = "Actor";
+
+exports.SERVICE = SERVICE;
+
+// options callers send the remote's registry, for it to use in place of its defaults
+var REMOTE_OPTIONS = ["registrationTimeout", "callTimeout"];
+
+// actor ids can be anything but plain objects, so options are told apart by being one
+var decoratorConfig = {
+  isOptionsParameter: _.isPlainObject,
+};
 
-var GET_PROPERTY = "-getActorProperty-";
-var REGISTRATION_TIMEOUT = 500;
+/**
+ * marks a value returned by an exposed method as by-reference. rather than being copied, it's
+ * exposed as an actor by the node's registry, and the caller gets a RemoteActor for it
+ *
+ *     node.expose("openDocument", function(path) {
+ *       return actors.byReference(new Document(path));
+ *     });
+ */
+exports.byReference = function(value) {
+  return new Reference(value);
+};
 
 /**
  * exposes methods on a node to call actor API on the remote
  */
 exports.mixin = function(node) {
-  node.callActor = function(id, method) {
-    var args = ["callActor", id, method].concat(_.slice(arguments, 2));
-    return node.call.apply(null, args);
-  };
+  if(typeof node.getActor === "function") {
+    return;
+  }
+
+  // releases references nobody holds any more, where the platform can tell us
+  var finalizers = typeof FinalizationRegistry === "function" ? new FinalizationRegistry(release) : null;
+
+  node.callActor = decorators.optionsAsFirstParameter(function(options, id, method) {
+    return callRegistry(node, CALL, options, _.slice(arguments, 1));
+  }, decoratorConfig);
 
   node.getActor = function getActor(id) {
     return new RemoteActor(id, node);
   };
+
+  /**
+   * the remote's live actors, as `{ id, type }`. filter: { prefix?: string, type?: string }
+   */
+  node.listActors = function(filter) {
+    return node.call(LIST, filter || {});
+  };
+
+  /**
+   * what an actor on the remote is: `{ id, type, methods }`
+   */
+  node.describeActor = decorators.optionsAsFirstParameter(function(options, id) {
+    return callRegistry(node, DESCRIBE, options, [id]);
+  }, decoratorConfig);
+
+  var changeListeners = [];
+
+  /**
+   * listener({ event: "register" | "expire", id, type }) hears about actors the remote exposes
+   * or expires, from when the returned promise resolves
+   */
+  node.subscribeActors = function(listener) {
+    changeListeners.push(listener);
+    node.on(CHANGE_EVENT, listener);
+    return node.call(SUBSCRIBE);
+  };
+
+  node.unsubscribeActors = function(listener) {
+    _.pull(changeListeners, listener);
+    node.off(CHANGE_EVENT, listener);
+    return changeListeners.length ? node._Promise.resolve() : node.call(UNSUBSCRIBE);
+  };
+
+  // properties of remote actors we're watching, by actor id and property name:
+  // { value, ready, pending: Array<ops>, fetched: Promise, listeners }
+  var watches = Object.create(null);
+
+  node.on(PROPERTY_EVENT, function(id, name, ops) {
+    var watch = watches[id] && watches[id][name];
+    if(!watch) {
+      return;
+    }
+
+    // changes sent before the initial value arrived apply on top of it
+    if(!watch.ready) {
+      watch.pending.push(ops);
+      return;
+    }
+
+    watch.value = patch.apply(watch.value, ops);
+    watch.listeners.forEach(function(listener) {
+      listener(watch.value);
+    });
+  });
+
+  /**
+   * listener(value) is called with a property's value, then again each time it changes
+   */
+  node.watchActor = function(id, name, listener) {
+    watches[id] = watches[id] || Object.create(null);
+
+    var watch = watches[id][name];
+    if(!watch) {
+      watch = watches[id][name] = {
+        value: undefined,
+        ready: false,
+        pending: [],
+        listeners: [],
+      };
+
+      watch.fetched = node.call(WATCH, id, name)
+      .then(function(value) {
+        watch.value = _.reduce(watch.pending, patch.apply, value);
+        watch.pending = [];
+        watch.ready = true;
+      }, function(err) {
+        delete watches[id][name];
+        throw err;
+      });
+    }
+
+    return watch.fetched.then(function() {
+      watch.listeners.push(listener);
+      listener(watch.value);
+      return watch.value;
+    });
+  };
+
+  node.unwatchActor = function(id, name, listener) {
+    var watch = watches[id] && watches[id][name];
+    if(!watch) {
+      return node._Promise.resolve();
+    }
+
+    _.pull(watch.listeners, listener);
+    if(watch.listeners.length) {
+      return node._Promise.resolve();
+    }
+
+    delete watches[id][name];
+    return node.call(UNWATCH, id, name);
+  };
+
+  // actors the remote returned by reference arrive as RemoteActors
+  node.use(function(ctx, next) {
+    if(ctx.direction !== "outgoing" || ctx.type !== "call") {
+      return next();
+    }
+
+    return next().then(function(result) {
+      return helpers.mapDeep(result, function(value) {
+        return isReference(value) ? referenced(value.id) : value;
+      });
+    });
+  });
+
+  function referenced(id) {
+    var actor = new RemoteActor(id, node);
+    var released = null;
+
+    actor.release = function() {
+      if(!released) {
+        if(finalizers) {
+          finalizers.unregister(actor);
+        }
+        released = node.call(RELEASE, id);
+        // only of interest to those who asked
+        released.then(null, _.noop);
+      }
+      return released;
+    };
+
+    if(finalizers) {
+      finalizers.register(actor, id, actor);
+    }
+
+    return actor;
+  }
+
+  function release(id) {
+    node.call(RELEASE, id).then(null, _.noop);
+  }
 };
 
-exports.register = function() {
-  return new ActorRegister;
+/**
+ * options, defaults for calls that don't send their own:
+ *
+ * - `registrationTimeout: number` - how long to wait for an actor that hasn't been exposed yet, default 500
+ * - `callTimeout: number` - how long actors' methods can take, default 500
+ * - `idleTimeout: number` - actors not called for this long are expired, default 0 (never).
+ *   exposeActor can give each actor its own
+ * - `expiredRetention: number` - how long expired actors' ids are kept, so calls to them fail
+ *   with ActorExpired rather than waiting for them to be exposed, default 60000
+ * - `mailboxLimit: number` - how many calls can wait for actors exposed with a mailbox, default 100.
+ *   exposeActor can give each actor its own
+ * - `error: (err) => void` - told of actors' `expire()` throwing, default `console.error`
+ */
+exports.register = function(options) {
+  return new ActorRegister(options);
 }
 
 /**
  * creates a registry of actors, that can be
  * exposed over a RPC node
  */
-function ActorRegister() {
+function ActorRegister(options) {
   var self = this;
 
-  var actors = {};
+  options = _.defaults({}, options, {
+    registrationTimeout: 500,
+    callTimeout: 500,
+    idleTimeout: 0,
+    expiredRetention: 60000,
+    mailboxLimit: 100,
+    error: function(err) {
+      console.error(err);
+    },
+  });
+
+  // keyed by ids remote peers send, so nothing is found on Object.prototype
+  var actors = Object.create(null);
 
   // when an actor is registered, fire events for any
   // calls waiting for it to appear
@@ -46,10 +263,26 @@ function ActorRegister() {
   // we proxy through actor events to active nodes (if any)
   var actorEvents = new EventEmitter;
 
-  var callTimeout = 500;
-
   var EXPIRED = {};
 
+  // actors that expire when idle, by id: { idleTimeout, timer, running }, running counting calls in flight
+  var leases = Object.create(null);
+
+  // type tags actors were exposed with, by id
+  var types = Object.create(null);
+
+  // actors that run one call at a time, by id: { limit, queue: Array<{ resolve, reject }>, busy }
+  var mailboxes = Object.create(null);
+
+  // properties we've made report their changes, by actor id: { name: true }
+  var observed = Object.create(null);
+
+  // ids of actors exposed by reference are ours to pick
+  var nextReferenceId = 0;
+
+  // the nodes actors exposed by reference were returned to, by id. other nodes can't reach them
+  var referenceOwners = Object.create(null);
+
   /*
    * public API
    */
@@ -61,7 +294,12 @@ function ActorRegister() {
    * private API
    */
 
-  function exposeActor(id, actor) {
+  /**
+   * actorOptions: { idleTimeout?: number, type?: string, mailbox?: boolean, mailboxLimit?: number }.
+   * idleTimeout and mailboxLimit default to the registry's, type is a tag to find actors by. actors
+   * with a mailbox run calls one at a time, in the order they arrive
+   */
+  function exposeActor(id, actor, actorOptions) {
     if(typeof actor !== "object") {
       throw new Error("actor must be object");
     }
@@ -70,9 +308,28 @@ function ActorRegister() {
     }
     actors[id] = actor;
 
+    if(actorOptions && actorOptions.type !== undefined) {
+      types[id] = actorOptions.type;
+    }
+
+    var idleTimeout = _.defaults({}, actorOptions, { idleTimeout: options.idleTimeout }).idleTimeout;
+    if(idleTimeout > 0) {
+      leases[id] = { idleTimeout: idleTimeout, timer: null, running: 0 };
+      renewLease(id);
+    }
+
+    if(actorOptions && actorOptions.mailbox) {
+      mailboxes[id] = {
+        limit: _.defaultTo(actorOptions.mailboxLimit, options.mailboxLimit),
+        queue: [],
+        busy: false,
+      };
+    }
+
     exposeActorEvents(actor);
 
     actorRegistrations.emit("register:" + id);
+    actorRegistrations.emit("change", _.extend({ event: "register" }, summary(id)));
 
     function exposeActorEvents() {
       if(typeof actor.on !== "function") {
@@ -99,34 +356,130 @@ function ActorRegister() {
     }
   }
 
-  function call(PromiseConstructor, id, method) {
+  function call(PromiseConstructor, callOptions, id, method) {
     var timeoutPromise = _.partial(promiseHelpers.timeout, PromiseConstructor);
-    var params = _.slice(arguments, 3);
+    var params = _.slice(arguments, 4);
+    callOptions = _.defaults({}, callOptions, options);
 
-    // TODO have configurable 'wait for actor' and 'method timeout' durations
-    return waitForActor(PromiseConstructor, id, REGISTRATION_TIMEOUT)
+    // called over RPC, the caller giving up cancels calls waiting their turn
+    var token = this && this.token;
+
+    return waitForActor(PromiseConstructor, id, callOptions.registrationTimeout)
     .then(function runCall(actor) {
-      var fn = actor[method];
+      var fn = memberOf(actor, method);
 
       if(typeof fn !== "function") {
         var error = new Error("ActorNoSuchMethod");
         error.method = method;
-        error.methods = _.methods(actor);
+        error.methods = _.functionsIn(actor);
         return PromiseConstructor.reject(error);
+      } else if(mailboxes[id]) {
+        return takeTurn(PromiseConstructor, id, token).then(function(done) {
+          var running = runMethod(fn, actor);
+          // the next call waits for this one to finish or time out, so one that hangs can't
+          // block the actor for good
+          running.then(done, done);
+          return running;
+        });
       } else {
-        return timeoutPromise(
-          callTimeout
-          , helpers.runEnsuringPromise(PromiseConstructor, fn.bind(actor), params)
-          , "ActorCallTimeout"
-        );
+        return runMethod(fn, actor);
       }
     });
+
+    function runMethod(fn, actor) {
+      var running = timeoutPromise(
+        callOptions.callTimeout
+        , helpers.runEnsuringPromise(PromiseConstructor, fn.bind(actor), params)
+        , "ActorCallTimeout"
+      );
+
+      // an actor isn't idle while it's working
+      var lease = holdLease(id);
+      running.then(_.partial(releaseLease, id, lease), _.partial(releaseLease, id, lease));
+
+      return running;
+    }
   }
 
-  function getActorProperty(PromiseConstructor, id, property) {
-    return waitForActor(PromiseConstructor, id, REGISTRATION_TIMEOUT)
+  /**
+   * waits for an actor's mailbox to get to this call. resolves with a function to call once
+   * it's finished, letting the next call run. cancelling token gives up the wait
+   */
+  function takeTurn(PromiseConstructor, id, token) {
+    var mailbox = mailboxes[id];
+
+    if(mailbox.queue.length >= mailbox.limit) {
+      var error = new Error("MailboxFull");
+      error.limit = mailbox.limit;
+      return PromiseConstructor.reject(error);
+    }
+
+    return new PromiseConstructor(function(resolve, reject) {
+      var turn = { resolve: resolve, reject: reject };
+      mailbox.queue.push(turn);
+      if(!mailbox.busy) {
+        nextTurn(mailbox);
+      }
+
+      if(token) {
+        token.onCancel(function(reason) {
+          if(_.includes(mailbox.queue, turn)) {
+            _.pull(mailbox.queue, turn);
+            reject(reason);
+          }
+        });
+      }
+    });
+  }
+
+  function nextTurn(mailbox) {
+    var turn = mailbox.queue.shift();
+    mailbox.busy = Boolean(turn);
+
+    if(turn) {
+      turn.resolve(_.once(function() {
+        nextTurn(mailbox);
+      }));
+    }
+  }
+
+  function getActorProperty(PromiseConstructor, callOptions, id, property) {
+    callOptions = _.defaults({}, callOptions, options);
+
+    return waitForActor(PromiseConstructor, id, callOptions.registrationTimeout)
     .then(function(actor) {
-      return actor[property];
+      return memberOf(actor, property);
+    });
+  }
+
+  function listActors(filter) {
+    filter = filter || {};
+
+    return _.filter(_.map(live(), summary), function(entry) {
+      return (filter.prefix === undefined || String(entry.id).indexOf(filter.prefix) === 0)
+        && (filter.type === undefined || entry.type === filter.type);
+    });
+  }
+
+  function describeActor(PromiseConstructor, callOptions, id) {
+    callOptions = _.defaults({}, callOptions, options);
+
+    return waitForActor(PromiseConstructor, id, callOptions.registrationTimeout)
+    .then(function(actor) {
+      return _.extend(summary(id), {
+        methods: _.functionsIn(actor),
+      });
+    });
+  }
+
+  // actors without a type tag have no type, rather than an undefined one JSON would drop
+  function summary(id) {
+    return _.has(types, id) ? { id: id, type: types[id] } : { id: id };
+  }
+
+  function live() {
+    return _.filter(Object.keys(actors), function(id) {
+      return actors[id] !== EXPIRED;
     });
   }
 
@@ -151,6 +504,7 @@ function ActorRegister() {
       if(found === EXPIRED) {
         return PromiseConstructor.reject(new Error("ActorExpired"));
       } else {
+        renewLease(id);
         return found;
       }
     }
@@ -164,9 +518,42 @@ function ActorRegister() {
       throw new Error("can't expose two registries on node");
     }
 
+    // actors returned by reference to this node's remote: how many references it holds, by id
+    var references = Object.create(null);
+
+    // properties of actors this node's remote watches, by actor id and name: the value it last heard
+    var watched = Object.create(null);
+
     // register the ability for remote to call methods on actors
-    node.expose("callActor", _.partial(call, node._Promise));
-    node.expose(GET_PROPERTY, _.partial(getActorProperty, node._Promise));
+    node.expose(SERVICE, {
+      call: decorators.optionsAsFirstParameter(visible(1, _.partial(call, node._Promise)), decoratorConfig),
+      getProperty: decorators.optionsAsFirstParameter(visible(1, _.partial(getActorProperty, node._Promise)), decoratorConfig),
+      release: releaseReference,
+      renew: visible(0, function(id) {
+        return waitForActor(node._Promise, id, options.registrationTimeout).then(_.noop);
+      }),
+      list: function(filter) {
+        return _.filter(listActors(filter), function(entry) {
+          return isVisible(entry.id);
+        });
+      },
+      describe: decorators.optionsAsFirstParameter(visible(1, _.partial(describeActor, node._Promise)), decoratorConfig),
+      subscribe: function() {
+        actorRegistrations.removeListener("change", fireChange);
+        actorRegistrations.on("change", fireChange);
+      },
+      unsubscribe: function() {
+        actorRegistrations.removeListener("change", fireChange);
+      },
+      watch: visible(0, watchProperty),
+      unwatch: function(id, name) {
+        if(watched[id]) {
+          delete watched[id][name];
+        }
+      },
+    });
+
+    node.use(exposeReferences);
 
     // setup API
     node.getLocalActor = function(id) {
@@ -174,46 +561,396 @@ function ActorRegister() {
     };
     node.exposeActor = exposeActor;
     node.expireActor = expireActor;
+    node.actorChanged = propertyChanged;
     exports.mixin(node);
 
     // we take actor events, scope them to the actor, and fire them
     // on the node
     //
     actorEvents.on("event", fireEvents);
+    actorEvents.on("property", firePropertyChange);
+
+    // let go of closed nodes, and of what their remote held
+    node.connection.once("close", function() {
+      actorEvents.removeListener("event", fireEvents);
+      actorEvents.removeListener("property", firePropertyChange);
+      actorRegistrations.removeListener("change", fireChange);
+
+      _.each(references, function(count, id) {
+        expireActor(id);
+      });
+      references = Object.create(null);
+    });
 
     return;
 
+    function isVisible(id) {
+      return !_.has(referenceOwners, id) || referenceOwners[id] === node;
+    }
+
+    // fn, refusing ids (its idIndex-th param) of actors returned by reference to other nodes
+    function visible(idIndex, fn) {
+      return function() {
+        var id = arguments[idIndex];
+        if(!isVisible(id)) {
+          var error = new Error("NoSuchReference");
+          error.id = id;
+          throw error;
+        }
+        return fn.apply(this, arguments);
+      };
+    }
+
+    function exposeReferences(ctx, next) {
+      if(ctx.direction !== "incoming" || ctx.type !== "call") {
+        return next();
+      }
+
+      return next().then(function(result) {
+        return helpers.mapDeep(result, function(value) {
+          return value instanceof Reference ? referenceTo(value.value) : value;
+        });
+      });
+    }
+
+    // the same actor returned again is the same reference, counted again
+    function referenceTo(actor) {
+      var id = _.find(Object.keys(references), function(id) {
+        return actors[id] === actor;
+      });
+
+      if(id) {
+        references[id] += 1;
+      } else {
+        nextReferenceId += 1;
+        id = "-ref-" + nextReferenceId;
+        referenceOwners[id] = node;
+        exposeActor(id, actor);
+        references[id] = 1;
+      }
+
+      var tagged = {};
+      tagged[TAG] = REFERENCE_TYPE;
+      tagged.id = id;
+      return tagged;
+    }
+
+    function releaseReference(id) {
+      if(!references[id]) {
+        var error = new Error("NoSuchReference");
+        error.id = id;
+        throw error;
+      }
+
+      references[id] -= 1;
+      if(references[id] === 0) {
+        delete references[id];
+        expireActor(id);
+      }
+    }
+
+    function watchProperty(id, name) {
+      return waitForActor(node._Promise, id, options.registrationTimeout)
+      .then(function(actor) {
+        observe(id, actor, name);
+
+        var value = _.cloneDeep(actor[name]);
+        watched[id] = watched[id] || Object.create(null);
+        watched[id][name] = value;
+        return value;
+      });
+    }
+
+    // sends what changed since the remote last heard
+    function firePropertyChange(id, name) {
+      if(!watched[id] || !_.has(watched[id], name)) {
+        return;
+      }
+
+      var actor = actors[id];
+      if(!actor || actor === EXPIRED) {
+        delete watched[id];
+        return;
+      }
+
+      var value = _.cloneDeep(actor[name]);
+      var ops = patch.diff(watched[id][name], value);
+      watched[id][name] = value;
+
+      if(ops.length) {
+        node.emit(PROPERTY_EVENT, id, name, ops).then(null, _.noop);
+      }
+    }
+
+    // nobody's waiting on these emits, so failures to deliver them are dropped
+    function fireChange(change) {
+      if(isVisible(change.id)) {
+        node.emit(CHANGE_EVENT, change).then(null, _.noop);
+      }
+    }
+
     function fireEvents(id, originalParams) {
+      if(!isVisible(id)) {
+        return;
+      }
+
       // we take the original params and rename the event according to actor
       // event naming rules
       var params = [actorEventName(id, originalParams[0])].concat(_.slice(originalParams, 1));
-      node.emit.apply(null, params);
+      node.emit.apply(null, params).then(null, _.noop);
+    }
+  }
+
+  /**
+   * tells watchers of an actor's property it has changed. assignments to own data properties
+   * are noticed, other changes (e.g to objects in place) need reporting
+   */
+  function propertyChanged(id, name) {
+    actorEvents.emit("property", id, name);
+  }
+
+  /**
+   * makes assignments to a property report its changes, where it's an own, writable data
+   * property or not there yet. for others, changes are reported by propertyChanged
+   */
+  function observe(id, actor, name) {
+    observed[id] = observed[id] || Object.create(null);
+    if(observed[id][name]) {
+      return;
+    }
+    observed[id][name] = true;
+
+    var descriptor = Object.getOwnPropertyDescriptor(actor, name);
+    var assignable = descriptor ? descriptor.configurable && descriptor.writable : !(name in actor);
+    if(!assignable) {
+      return;
     }
+
+    var value = actor[name];
+    Object.defineProperty(actor, name, {
+      configurable: true,
+      enumerable: true,
+      get: function() {
+        return value;
+      },
+      set: function(newValue) {
+        value = newValue;
+        propertyChanged(id, name);
+      },
+    });
   }
 
+  /**
+   * expires an actor: calls to it fail with ActorExpired, holders hear `expired`, and its own
+   * `expire()` is called. its id is forgotten after `expiredRetention`
+   */
   function expireActor(id) {
+    if(!_.has(actors, id) || actors[id] === EXPIRED) {
+      return;
+    }
+    var actor = actors[id];
+
+    if(leases[id]) {
+      clearTimeout(leases[id].timer);
+      delete leases[id];
+    }
+
     actors[id] = EXPIRED;
     actorRegistrations.emit("deregister:" + id);
+    actorRegistrations.emit("change", _.extend({ event: "expire" }, summary(id)));
+    delete types[id];
+    delete observed[id];
+
+    // calls still waiting won't get a turn
+    if(mailboxes[id]) {
+      mailboxes[id].queue.forEach(function(turn) {
+        turn.reject(new Error("ActorExpired"));
+      });
+      mailboxes[id].queue = [];
+      delete mailboxes[id];
+    }
+
+    unref(setTimeout(function() {
+      if(actors[id] === EXPIRED) {
+        delete actors[id];
+        delete referenceOwners[id];
+      }
+    }, options.expiredRetention));
+
+    // heard by RemoteActors as `expired`
+    actorEvents.emit("event", id, ["expired"]);
+
+    // often from a timer, where throwing would take the process down
+    if(typeof actor.expire === "function") {
+      try {
+        actor.expire();
+      } catch(e) {
+        var err = new Error("ActorExpireFailed");
+        err.id = id;
+        err.original = e;
+        options.error(err);
+      }
+    }
   }
 
+  function renewLease(id) {
+    var lease = leases[id];
+    if(!lease || lease.running > 0) {
+      return;
+    }
+
+    clearTimeout(lease.timer);
+    lease.timer = unref(setTimeout(function() {
+      expireActor(id);
+    }, lease.idleTimeout));
+  }
+
+  // stops the lease's timer while a call runs, returning the lease to release once it's finished
+  function holdLease(id) {
+    var lease = leases[id];
+    if(lease) {
+      lease.running += 1;
+      clearTimeout(lease.timer);
+    }
+    return lease;
+  }
+
+  // the timer starts again when the last call running finishes, if the lease is still the actor's
+  function releaseLease(id, lease) {
+    if(!lease) {
+      return;
+    }
+
+    lease.running -= 1;
+    if(leases[id] === lease) {
+      renewLease(id);
+    }
+  }
+
+}
+
+/**
+ * what remote peers can reach on an actor: its own members and its classes', but not those every
+ * object or function has, nor its constructor
+ */
+function memberOf(actor, name) {
+  if(name === "constructor") {
+    return undefined;
+  }
+
+  var holder = actor;
+  while(holder && holder !== Object.prototype && holder !== Function.prototype) {
+    if(_.has(holder, name)) {
+      return actor[name];
+    }
+    holder = Object.getPrototypeOf(holder);
+  }
+  return undefined;
 }
 
 function RemoteActor(remoteId, node) {
-  this.id = remoteId;
+  // methods reach the id through the actor, so holding one holds the actor: those returned by
+  // reference are released once they're garbage collected
+  var actor = this;
+  actor.id = remoteId;
+
+  this.call = decorators.optionsAsFirstParameter(function(options) {
+    return node.callActor.apply(null, [options, actor.id].concat(_.slice(arguments, 1)));
+  }, decoratorConfig);
+
+  // properties we're watching, kept in sync with the actor's
+  var state = this.state = {};
+  var watching = [];
+
+  /**
+   * fn(value) is called with the property's value, then again each time it changes. the
+   * value is kept in `state` too
+   */
+  this.watch = function(name, fn) {
+    var watch = {
+      name: name,
+      fn: fn,
+      listener: function(value) {
+        state[name] = value;
+        if(fn) {
+          fn(value);
+        }
+      },
+    };
+    watching.push(watch);
 
-  this.call = _.partial(node.callActor, this.id);
+    return node.watchActor(actor.id, name, watch.listener);
+  };
+
+  this.unwatch = function(name, fn) {
+    var watch = _.find(watching, function(watch) {
+      return watch.name === name && watch.fn === fn;
+    });
+    if(!watch) {
+      return node._Promise.resolve();
+    }
+
+    _.pull(watching, watch);
+    if(!_.some(watching, { name: name })) {
+      delete state[name];
+    }
+
+    return node.unwatchActor(actor.id, name, watch.listener);
+  };
+
+  // keeps an actor with an idleTimeout alive without calling it
+  this.renew = function() {
+    return node.call(RENEW, actor.id);
+  };
 
   this.on = _.partial(proxiedEventMethod, "on");
   this.off = this.removeListener = _.partial(proxiedEventMethod, "removeListener");
   this.once = _.partial(proxiedEventMethod, "once");
 
-  this.get = _.partial(node.call, GET_PROPERTY, this.id);
+  this.get = decorators.optionsAsFirstParameter(function(options, name) {
+    return callRegistry(node, GET_PROPERTY, options, [actor.id, name]);
+  }, decoratorConfig);
 
   function proxiedEventMethod(method, name, fn) {
-    node[method](actorEventName(remoteId, name), fn);
+    node[method](actorEventName(actor.id, name), fn);
   }
 }
 
+/**
+ * calls one of the remote registry's methods. the timeouts it should use are sent ahead of
+ * the params, and the actor's method gets as long as the call: `timeout` unless `callTimeout`
+ * is given
+ */
+function callRegistry(node, method, options, params) {
+  var remoteOptions = _.pick(options, REMOTE_OPTIONS);
+  if(remoteOptions.callTimeout === undefined && options.timeout !== undefined) {
+    remoteOptions.callTimeout = options.timeout;
+  }
+
+  var args = [_.omit(options, REMOTE_OPTIONS), method];
+  if(!_.isEmpty(remoteOptions)) {
+    args.push(remoteOptions);
+  }
+
+  return node.call.apply(null, args.concat(params));
+}
+
+// timers for actors shouldn't keep node processes alive
+function unref(timer) {
+  if(timer && typeof timer.unref === "function") {
+    timer.unref();
+  }
+  return timer;
+}
+
+function Reference(value) {
+  this.value = value;
+}
+
+function isReference(value) {
+  return _.isPlainObject(value) && value[TAG] === REFERENCE_TYPE && typeof value.id === "string";
+}
+
 function actorEventName(id, eventName) {
   return "remote:" + id + ":" + eventName;
 }
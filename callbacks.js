@@ -0,0 +1,98 @@
+/**
+ * functions passed in params and results, sent as handles the other side can call back
+ *
+ *     var handles = callbacks.create("server");
+ *     handles.marshal([filter, onChange]);  // => [filter, { "$rpcjs": "Callback", "id": "server:callback:1" }]
+ *
+ * each time a function is marshalled its handle gains a reference, and each stub the other
+ * side releases drops one. handles are forgotten once they have no references left
+ */
+"use strict";
+
+var _ = require("lodash");
+var helpers = require("./helpers");
+var TAG = require("./serializer").TAG;
+
+var TYPE = "Callback";
+
+// the built-in methods stubs call, out of the way of application methods
+var SERVICE = "-callbacks-";
+
+exports.SERVICE = SERVICE;
+exports.INVOKE = SERVICE + ".invoke";
+exports.RELEASE = SERVICE + ".release";
+
+exports.create = function(prefix) {
+  var handles = {};
+  var nextId = 0;
+
+  return {
+    marshal: marshal,
+    unmarshal: unmarshal,
+    get: get,
+    release: release,
+    clear: clear,
+  };
+
+  /**
+   * replaces functions in arrays and plain objects with handles. values without
+   * functions are returned as they are
+   */
+  function marshal(value) {
+    return helpers.mapDeep(value, function(item) {
+      return typeof item === "function" ? handleFor(item) : item;
+    });
+  }
+
+  /**
+   * replaces handles with what stub(id) returns
+   */
+  function unmarshal(value, stub) {
+    return helpers.mapDeep(value, function(item) {
+      return isHandle(item) ? stub(item.id) : item;
+    });
+  }
+
+  function get(id) {
+    return _.has(handles, id) ? handles[id].fn : undefined;
+  }
+
+  function release(id) {
+    if(!_.has(handles, id)) {
+      return;
+    }
+
+    var handle = handles[id];
+    handle.refs -= 1;
+    if(handle.refs <= 0) {
+      delete handles[id];
+    }
+  }
+
+  function clear() {
+    handles = {};
+  }
+
+  function handleFor(fn) {
+    var handle = _.find(handles, function(handle) {
+      return handle.fn === fn;
+    });
+
+    if(!handle) {
+      nextId += 1;
+      handle = { id: prefix + ":callback:" + nextId, fn: fn, refs: 0 };
+      handles[handle.id] = handle;
+    }
+
+    handle.refs += 1;
+
+    var tagged = {};
+    tagged[TAG] = TYPE;
+    tagged.id = handle.id;
+    return tagged;
+  }
+};
+
+function isHandle(value) {
+  return _.isPlainObject(value) && value[TAG] === TYPE && typeof value.id === "string";
+}
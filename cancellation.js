@@ -0,0 +1,57 @@
+/**
+ * cancellation tokens handed to exposed methods, so long-running work can stop
+ * when the caller gives up
+ *
+ *     var source = cancellation.source();
+ *     doWork(source.token);
+ *     source.cancel(new Error("CallCancelled"));
+ *
+ */
+"use strict";
+
+var EventEmitter = require("events").EventEmitter;
+
+exports.source = function() {
+  var token = new CancellationToken;
+
+  return {
+    token: token,
+    cancel: function(reason) {
+      token._cancel(reason);
+    },
+  };
+};
+
+exports.CancellationToken = CancellationToken;
+
+function CancellationToken() {
+  this.cancelled = false;
+  this.reason = undefined;
+  this._emitter = new EventEmitter;
+}
+
+/**
+ * run fn(reason) when cancelled. runs immediately if already cancelled
+ */
+CancellationToken.prototype.onCancel = function(fn) {
+  if(this.cancelled) {
+    fn(this.reason);
+  } else {
+    this._emitter.once("cancel", fn);
+  }
+};
+
+CancellationToken.prototype.throwIfCancelled = function() {
+  if(this.cancelled) {
+    throw this.reason;
+  }
+};
+
+CancellationToken.prototype._cancel = function(reason) {
+  if(this.cancelled) {
+    return;
+  }
+  this.cancelled = true;
+  this.reason = reason || new Error("Cancelled");
+  this._emitter.emit("cancel", this.reason);
+};
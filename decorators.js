@@ -50,9 +50,9 @@ exports.optionsAsFirstParameter = function(fn, opts) {
   return function optionsAsFirstParameterDecorated(options) {
     // implement overloaded method
     if(opts.isOptionsParameter(options)) {
-      return fn.apply(null, arguments);
+      return fn.apply(this, arguments);
     } else {
-      return fn.apply(null, [{}].concat(_.slice(arguments)));
+      return fn.apply(this, [{}].concat(_.slice(arguments)));
     }
   };
 };
@@ -0,0 +1,146 @@
+/**
+ * turning errors into something we can send, and back again, for a pair's
+ * `errors` option
+ *
+ *     var errors = require("rpcjs/errors").create({ stacks: false });
+ *     errors.register(ValidationError);
+ *
+ *     rpc({ name: "app", errors: errors, ... });
+ *
+ * rejections with registered classes come back as instances of the same class, with their
+ * `cause` chain. the stack of the rebuilt error has the remote frames followed by the
+ * caller's.
+ *
+ * options:
+ *
+ * - `stacks: boolean` - send stacks, default true. turn off in production
+ * - `fields: Array<string>` - only send these enumerable fields of errors (name and message
+ *   are always sent), default all of them
+ */
+"use strict";
+
+var _ = require("lodash");
+
+exports.create = function(options) {
+  options = _.defaults({}, options, {
+    stacks: true,
+    fields: null,
+  });
+
+  var types = [];
+  var byName = {};
+
+  var registry = {
+    register: register,
+    toPayload: toPayload,
+    fromPayload: fromPayload,
+  };
+
+  return registry;
+
+  /**
+   * register an Error subclass, by default under its name
+   */
+  function register(type, name) {
+    if(typeof type !== "function") {
+      throw new Error("error types must be named constructors");
+    }
+
+    // classes that don't set their own prototype's name would otherwise all inherit "Error"
+    name = name || (_.has(type.prototype, "name") ? type.prototype.name : type.name);
+
+    if(!name) {
+      throw new Error("error types must be named constructors");
+    }
+    if(_.has(byName, name)) {
+      throw new Error("duplicate error type: " + name);
+    }
+
+    types.push({ name: name, type: type });
+    byName[name] = type;
+
+    return registry;
+  }
+
+  function toPayload(error) {
+    return payloadFor(error, []);
+  }
+
+  // seen: errors further up the cause chain, which a cause pointing back to is cut off at
+  function payloadFor(error, seen) {
+    if(error === null || typeof error !== "object") {
+      return { value: error };
+    }
+
+    var fields = options.fields ? _.pick(error, options.fields) : error;
+
+    // pull out all enumerable additions to error, plus standard fields
+    var payload = _.extend({
+      name: registeredName(error) || error.name,
+      message: error.message,
+      stack: error.stack,
+    }, fields);
+
+    if(!options.stacks) {
+      delete payload.stack;
+    }
+
+    seen = seen.concat(error);
+    if(error.cause !== undefined && !_.includes(seen, error.cause)) {
+      payload.cause = payloadFor(error.cause, seen);
+    } else {
+      delete payload.cause;
+    }
+
+    return payload;
+  }
+
+  /**
+   * callStack is the stack of the local call, appended to the remote stack
+   */
+  function fromPayload(payload, callStack) {
+    if(payload instanceof Error) {
+      payload.remote = true;
+      return payload;
+    }
+
+    var properties = _.defaults(_.extend({}, payload), { message: "RejectedWithNonError" });
+    // names come from the remote, so only those registered count
+    var type = _.has(byName, properties.name) ? byName[properties.name] : null;
+
+    var error = type ? Object.create(type.prototype) : new Error(properties.message);
+
+    _.extend(error, _.omit(properties, "cause", "stack"));
+    error.remote = true;
+
+    if(properties.cause !== undefined) {
+      error.cause = fromPayload(properties.cause);
+    }
+
+    var remoteStack = properties.stack || (error.name || "Error") + ": " + error.message;
+    error.stack = callStack ? remoteStack + "\n    --- remote call ---\n" + frames(callStack) : remoteStack;
+
+    return error;
+  }
+
+  // walks up the prototype chain, so the most specific registered class wins
+  function registeredName(error) {
+    for(var proto = Object.getPrototypeOf(error); proto; proto = Object.getPrototypeOf(proto)) {
+      var found = _.find(types, isPrototype(proto));
+      if(found) {
+        return found.name;
+      }
+    }
+  }
+};
+
+function isPrototype(proto) {
+  return function(registered) {
+    return registered.type.prototype === proto;
+  };
+}
+
+// stack without its message line
+function frames(stack) {
+  return String(stack).split("\n").slice(1).join("\n");
+}
@@ -1,11 +1,52 @@
 "use strict";
 
-exports.runEnsuringPromise = function runEnsuringPromise(Promise, fn, params) {
+var _ = require("lodash");
+
+exports.runEnsuringPromise = function runEnsuringPromise(Promise, fn, params, context) {
   try {
-    var result = fn.apply(null, params);
+    var result = fn.apply(context || null, params);
   } catch(e) {
     return Promise.reject(e);
   }
 
   return result && result.then ? result : Promise.resolve(result);
 };
+
+/**
+ * settles with the first of promises to settle. not all Promise-A
+ * implementations have a .race
+ */
+exports.race = function race(Promise, promises) {
+  return new Promise(function(resolve, reject) {
+    promises.forEach(function(promise) {
+      promise.then(resolve, reject);
+    });
+  });
+};
+
+/**
+ * replaces values found in arrays and plain objects, to any depth, with what fn returns
+ * for them. only what changed is copied, so values with nothing to replace come back as they are
+ */
+exports.mapDeep = function mapDeep(value, fn) {
+  var replaced = fn(value);
+  if(replaced !== value) {
+    return replaced;
+  }
+
+  if(!_.isArray(value) && !_.isPlainObject(value)) {
+    return value;
+  }
+
+  // forOwn, as _.each would take plain objects with a numeric `length` for arrays
+  var copy = null;
+  _.forOwn(value, function(item, key) {
+    var mapped = mapDeep(item, fn);
+    if(mapped !== item) {
+      copy = copy || _.clone(value);
+      copy[key] = mapped;
+    }
+  });
+
+  return copy || value;
+};
@@ -0,0 +1,83 @@
+/**
+ * diffs between JSON-like values, so changes to large objects can be sent as what changed
+ *
+ *     var ops = patch.diff(before, after);
+ *     patch.apply(before, ops);  // => a value deep equal to after
+ *
+ * ops are `{ path: Array<string | number>, value }` to set a value, and `{ path, remove: true }` to
+ * delete an object's key. arrays are diffed by index, and shortened by setting their `length`.
+ * apply doesn't change the value it's given: it copies the objects and arrays on the paths it sets
+ */
+"use strict";
+
+var _ = require("lodash");
+
+exports.diff = function diff(before, after) {
+  var ops = [];
+  diffAt([], before, after, ops);
+  return ops;
+};
+
+exports.apply = function apply(value, ops) {
+  return _.reduce(ops, applyOp, value);
+};
+
+function diffAt(path, before, after, ops) {
+  if(before === after) {
+    return;
+  }
+
+  if(_.isArray(before) && _.isArray(after)) {
+    for(var i = 0; i < after.length; i++) {
+      if(i < before.length) {
+        diffAt(path.concat(i), before[i], after[i], ops);
+      } else {
+        ops.push({ path: path.concat(i), value: after[i] });
+      }
+    }
+    if(after.length < before.length) {
+      ops.push({ path: path.concat("length"), value: after.length });
+    }
+    return;
+  }
+
+  // forOwn, as _.each would take objects with a numeric `length` for arrays
+  if(_.isPlainObject(before) && _.isPlainObject(after)) {
+    _.forOwn(before, function(value, key) {
+      if(!_.has(after, key)) {
+        ops.push({ path: path.concat(key), remove: true });
+      }
+    });
+    _.forOwn(after, function(value, key) {
+      if(_.has(before, key)) {
+        diffAt(path.concat(key), before[key], value, ops);
+      } else {
+        ops.push({ path: path.concat(key), value: value });
+      }
+    });
+    return;
+  }
+
+  if(!_.isEqual(before, after)) {
+    ops.push({ path: path, value: after });
+  }
+}
+
+function applyOp(value, op) {
+  if(op.path.length === 0) {
+    return op.value;
+  }
+
+  var copy = _.clone(value);
+  var key = op.path[0];
+
+  if(op.path.length > 1) {
+    copy[key] = applyOp(copy[key], { path: op.path.slice(1), value: op.value, remove: op.remove });
+  } else if(op.remove) {
+    delete copy[key];
+  } else {
+    copy[key] = op.value;
+  }
+
+  return copy;
+}
@@ -0,0 +1,231 @@
+/**
+ * JSON-RPC 2.0 compatible protocol, to talk to non-JS services and off-the-shelf
+ * JSON-RPC clients
+ *
+ *     rpc({ name: "api", protocol: require("rpcjs/protocols/jsonRpcProtocol"), ... })
+ *
+ * - calls are requests, results and errors are responses
+ * - emits are notifications (no id), so they're not acknowledged
+ * - calls can't ask for receipts or progress, so deliveryTimeout and executionTimeout add up to
+ *   one timeout, and onProgress isn't called
+ * - errors get numeric codes, with our error on `data`
+ * - batch requests are answered with a batch response once all calls in them finish
+ * - our other messages (handshake, cancellation, streaming) are sent as notifications with
+ *   an `rpcjs.` method prefix, which other implementations will ignore
+ */
+"use strict";
+
+var _ = require("lodash");
+
+var VERSION = "2.0";
+var EXTENSION_PREFIX = "rpcjs.";
+
+var CODES = exports.CODES = {
+  InvalidRequest: -32600,
+  NoSuchMethod: -32601,
+  InvalidParams: -32602,
+  InternalError: -32603,
+  ServerError: -32000,
+  Unauthorized: -32001,
+};
+
+exports.create = function() {
+  // incoming batch requests we're collecting responses for
+  var batches = [];
+
+  return {
+    acknowledgesNotifications: false,
+    // requests have no room to ask for them
+    receipts: false,
+    encode: encode,
+    decode: decode,
+  };
+
+  function encode(message) {
+    var encoded = encodeMessage(message);
+
+    if(message.type !== "result") {
+      return encoded;
+    }
+
+    var batch = _.find(batches, function(batch) {
+      return batch.waiting.hasOwnProperty(message.id);
+    });
+
+    if(!batch) {
+      return encoded;
+    }
+
+    delete batch.waiting[message.id];
+    batch.responses.push(encoded);
+
+    if(!_.isEmpty(batch.waiting)) {
+      return null;
+    }
+
+    _.pull(batches, batch);
+    return batch.responses;
+  }
+
+  function decode(wire) {
+    if(!_.isArray(wire)) {
+      return [decodeMessage(wire)];
+    }
+
+    if(wire.length === 0) {
+      return [invalid(null)];
+    }
+
+    var messages = _.map(wire, decodeMessage);
+
+    // notifications get no response, so we only wait for calls
+    var waiting = {};
+    messages.forEach(function(message) {
+      if(message.type === "call" || message.type === "invalid") {
+        waiting[message.id] = true;
+      }
+    });
+
+    if(!_.isEmpty(waiting)) {
+      batches.push({
+        waiting: waiting,
+        responses: [],
+      });
+    }
+
+    return messages;
+  }
+};
+
+function encodeMessage(message) {
+  switch(message.type) {
+  case "call":
+    return {
+      jsonrpc: VERSION,
+      id: message.id,
+      method: message.method,
+      params: message.params,
+    };
+  case "notify":
+    return {
+      jsonrpc: VERSION,
+      method: message.event,
+      params: message.data,
+    };
+  case "result":
+    if("error" in message) {
+      return {
+        jsonrpc: VERSION,
+        id: message.id,
+        error: encodeError(message.error),
+      };
+    }
+    return {
+      jsonrpc: VERSION,
+      id: message.id,
+      result: message.result,
+    };
+  default:
+    return {
+      jsonrpc: VERSION,
+      method: EXTENSION_PREFIX + message.type,
+      params: _.omit(message, "type"),
+    };
+  }
+}
+
+function decodeMessage(wire) {
+  if(!_.isPlainObject(wire) || wire.jsonrpc !== VERSION) {
+    return invalid(wire);
+  }
+
+  if("method" in wire) {
+    if(typeof wire.method !== "string") {
+      return invalid(wire);
+    }
+
+    if(wire.method.indexOf(EXTENSION_PREFIX) === 0) {
+      return _.extend({}, wire.params, {
+        type: wire.method.slice(EXTENSION_PREFIX.length),
+      });
+    }
+
+    var params = decodeParams(wire.params);
+
+    if("id" in wire) {
+      return {
+        id: wire.id,
+        type: "call",
+        method: wire.method,
+        params: params,
+      };
+    }
+
+    return {
+      type: "notify",
+      event: wire.method,
+      data: params,
+    };
+  }
+
+  if("result" in wire) {
+    return {
+      id: wire.id,
+      type: "result",
+      result: wire.result,
+    };
+  }
+
+  if("error" in wire) {
+    return {
+      id: wire.id,
+      type: "result",
+      error: decodeError(wire.error),
+    };
+  }
+
+  return invalid(wire);
+}
+
+// our methods take positional params, so by-name params are passed as one object
+function decodeParams(params) {
+  if(params === undefined) {
+    return [];
+  }
+  return _.isArray(params) ? params : [params];
+}
+
+function encodeError(error) {
+  var code = _.isInteger(error.code) ? error.code
+    : CODES[error.message] || CODES[error.name] || CODES.ServerError;
+
+  return {
+    code: code,
+    message: error.message || "Error",
+    data: error,
+  };
+}
+
+// errors we sent have our error on data, other implementations' may have anything
+function decodeError(error) {
+  error = error || {};
+
+  return _.extend({
+    message: error.message,
+    code: error.code,
+  }, _.isPlainObject(error.data) ? error.data : { data: error.data });
+}
+
+function invalid(wire) {
+  var id = _.isPlainObject(wire) && "id" in wire ? wire.id : null;
+
+  return {
+    id: id,
+    type: "invalid",
+    error: {
+      name: "InvalidRequest",
+      message: "InvalidRequest",
+      code: CODES.InvalidRequest,
+    },
+  };
+}
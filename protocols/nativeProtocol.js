@@ -0,0 +1,48 @@
+/**
+ * rpcjs' own message format, sent as-is. the default protocol
+ *
+ * a protocol turns our messages into what goes over the wire, and back:
+ *
+ *     interface Protocol {
+ *       create: () => {
+ *         encode: (message: Message) => any  // null/undefined to send nothing
+ *         decode: (wire: any) => Array<Message>
+ *         acknowledgesNotifications: boolean
+ *         receipts: boolean  // whether calls can ask for receipts and heartbeats
+ *       }
+ *     }
+ *
+ * `create` is called once per pair, so codecs can keep state
+ */
+"use strict";
+
+var _ = require("lodash");
+
+exports.create = function() {
+  return {
+    acknowledgesNotifications: true,
+    receipts: true,
+    encode: function(message) {
+      return message;
+    },
+    decode: function(wire) {
+      // our messages are always objects: anything else, from a broken or hostile peer, is answered
+      // with an error rather than read
+      if(!_.isPlainObject(wire)) {
+        return [invalid()];
+      }
+      return [wire];
+    },
+  };
+};
+
+function invalid() {
+  return {
+    id: null,
+    type: "invalid",
+    error: {
+      name: "InvalidMessage",
+      message: "InvalidMessage",
+    },
+  };
+}
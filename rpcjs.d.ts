@@ -0,0 +1,217 @@
+// type declarations for rpcjs. the API is documented in rpcjs.js and the README
+
+import { EventEmitter } from "events";
+
+declare namespace rpc {
+  interface RpcOptions {
+    name: string;
+    Promise: PromiseConstructorLike;
+    error: (err: Error) => void;
+    timeout?: number;
+    emitTimeout?: number;
+    highWaterMark?: number;
+    queueSize?: number;
+    retry?: boolean;
+    reconnect?: (pair: RpcPair) => void;
+    failFast?: boolean;
+    protocol?: Protocol;
+    serializer?: Serializer;
+    errors?: ErrorRegistry;
+    validate?: (schema: any, value: any) => ValidationError[];
+    credentials?: any;
+    authenticate?: (credentials: any, remote: RemoteInfo) => Identity | PromiseLike<Identity>;
+    authorize?: Policy;
+    wrapEffects?: (fn: () => void) => void;
+    log?: (...args: any[]) => void;
+  }
+
+  interface CallOptions {
+    timeout?: number;
+    deliveryTimeout?: number;
+    executionTimeout?: number;
+    heartbeat?: number;
+    retry?: boolean;
+    signal?: AbortSignalLike;
+    onProgress?: (data: any) => void;
+  }
+
+  interface StreamOptions {
+    idleTimeout?: number;
+    /** same as idleTimeout */
+    timeout?: number;
+    highWaterMark?: number;
+  }
+
+  interface EmitOptions {
+    timeout?: number;
+    retry?: boolean;
+  }
+
+  interface AbortSignalLike {
+    aborted: boolean;
+    reason?: any;
+    addEventListener(type: "abort", listener: () => void): void;
+    removeEventListener(type: "abort", listener: () => void): void;
+  }
+
+  interface CancellablePromise<T> extends Promise<T> {
+    cancel(reason?: any): void;
+  }
+
+  interface CancellationToken {
+    cancelled: boolean;
+    reason: any;
+    onCancel(fn: (reason: any) => void): void;
+    throwIfCancelled(): void;
+  }
+
+  /** `this` in exposed methods */
+  interface CallContext {
+    id: string;
+    method: string;
+    token: CancellationToken;
+    meta: { [key: string]: any };
+    identity: Identity;
+    progress(data: any): void;
+  }
+
+  type Method = (this: CallContext, ...params: any[]) => any;
+
+  /** stands in for a function sent by the remote, in params or results */
+  interface CallbackStub {
+    (...params: any[]): CancellablePromise<any>;
+    release(): Promise<any>;
+  }
+
+  interface MethodDescriptor {
+    fn: Method;
+    params?: any;
+    result?: any;
+    roles?: string[];
+    authorize?: Policy;
+  }
+
+  type Identity = any;
+
+  type Policy = (identity: Identity, ctx: MiddlewareContext) => boolean | PromiseLike<boolean>;
+
+  interface MiddlewareContext {
+    direction: "incoming" | "outgoing";
+    type: "call" | "notify";
+    id: string;
+    stream?: boolean;
+    method?: string;
+    params?: any[];
+    event?: string;
+    data?: any[];
+    options?: CallOptions | EmitOptions;
+    meta: { [key: string]: any };
+    identity?: Identity;
+    message?: any;
+    pair: RpcPair;
+  }
+
+  type Middleware = (ctx: MiddlewareContext, next: () => Promise<any>) => any;
+
+  interface RemoteInfo {
+    name: string;
+    version: number;
+    methods: string[];
+    features: string[];
+  }
+
+  interface Connection extends EventEmitter {
+    state: "connected" | "disconnected" | "reconnecting" | "closed";
+    identity: Identity | null;
+  }
+
+  interface Protocol {
+    create(): {
+      acknowledgesNotifications: boolean;
+      receipts?: boolean;
+      encode(message: any): any;
+      decode(wire: any): any[];
+    };
+  }
+
+  interface Serializer {
+    serialize(value: any): any;
+    deserialize(value: any): any;
+  }
+
+  interface ErrorRegistry {
+    register(type: Function, name?: string): ErrorRegistry;
+    toPayload(error: any): any;
+    fromPayload(payload: any, callStack?: string): Error;
+  }
+
+  interface ValidationError {
+    path: string;
+    message: string;
+  }
+
+  type PromiseResult<T> = T extends PromiseLike<infer U> ? U : T;
+
+  /**
+   * the type of a proxy for a remote implementing T: every method returns a promise
+   *
+   *     interface Calculator { add(a: number, b: number): number }
+   *     var calculator: rpc.Remote<Calculator> = node.proxy<Calculator>();
+   *     calculator.add(1, 2).then(...)
+   */
+  type Remote<T> = {
+    [K in keyof T]: T[K] extends (...args: infer A) => infer R
+      ? (...args: A) => CancellablePromise<PromiseResult<R>>
+      : T[K] extends object ? Remote<T[K]> : never;
+  };
+
+  interface ProxyOptions extends CallOptions {
+    methods?: string[];
+  }
+
+  interface RpcPair {
+    name: string;
+    remote: RemoteInfo | null;
+    connection: Connection;
+
+    expose(name: string, method: Method | MethodDescriptor): void;
+    expose(name: string, service: object): void;
+    expose(methods: { [name: string]: Method | MethodDescriptor | object }): void;
+    unexpose(name: string): void;
+
+    call(options: CallOptions, method: string, ...params: any[]): CancellablePromise<any>;
+    call(method: string, ...params: any[]): CancellablePromise<any>;
+
+    stream(options: StreamOptions, method: string, ...params: any[]): AsyncIterableIterator<any>;
+    stream(method: string, ...params: any[]): AsyncIterableIterator<any>;
+
+    emit(options: EmitOptions, event: string, ...data: any[]): Promise<any>;
+    emit(event: string, ...data: any[]): Promise<any>;
+
+    on(event: string, listener: (...data: any[]) => void): void;
+    once(event: string, listener: (...data: any[]) => void): void;
+    off(event: string, listener: (...data: any[]) => void): void;
+    removeListener(event: string, listener: (...data: any[]) => void): void;
+
+    use(middleware: Middleware): void;
+
+    proxy<T = { [method: string]: (...params: any[]) => any }>(options?: ProxyOptions): Remote<T>;
+    remoteMethods(options?: { timeout?: number }): Promise<string[]>;
+
+    setSend(send: (message: any) => void): void;
+    incoming(message: any): void;
+    disconnect(reason?: any): void;
+    close(reason?: any): void;
+  }
+}
+
+declare function rpc(options: rpc.RpcOptions): rpc.RpcPair;
+
+declare namespace rpc {
+  const client: typeof rpc;
+  const server: typeof rpc;
+  const PROTOCOL_VERSION: number;
+  const FEATURES: string[];
+}
+
+export = rpc;
@@ -13,6 +13,18 @@
  *       Promise: PromiseConstructor
  *       timeout: number
  *       emitTimeout: number
+ *       highWaterMark: number
+ *       queueSize: number
+ *       retry: boolean
+ *       reconnect: (pair: RpcPair) => void
+ *       failFast: boolean
+ *       protocol: Protocol
+ *       serializer: { serialize: (value) => any, deserialize: (value) => any }
+ *       errors: ErrorRegistry
+ *       validate: (schema, value) => Array<{ path: string, message: string }>
+ *       credentials: any | () => any
+ *       authenticate: (credentials, remote) => Promise<Identity> | Identity
+ *       authorize: (identity, ctx) => Promise<boolean> | boolean
  *       error: (err) => void
  *       wrapEffects: () => void
  *     }
@@ -31,7 +43,14 @@
  * expose either a single or an object of methods to remote side.  methods can
  * be sync or async; always async for remote side
  *
- * ### `call(options: { timeout: number}, method, ...args: Array<any>) => Promise<any>`
+ * methods can also be descriptors, `{ fn, params, result }`, with schemas (see `validation.js`). invalid
+ * params are rejected with `InvalidParams` before `fn` runs, invalid results with `InvalidResult`
+ *
+ * other objects are exposed as services, with their methods under `name.method`. class instances'
+ * methods are bound to them (their class's, not its base classes'), plain objects can nest services. `unexpose(name)` removes a method or
+ * a whole service
+ *
+ * ### `call(options: { timeout: number, deliveryTimeout: number, executionTimeout: number, heartbeat: number, retry: boolean, signal: AbortSignal, onProgress: (data: any) => void }, method, ...args: Array<any>) => Promise<any>`
  * ### `call(method : string, ...args: Array<any>) => Promise<any>`
  *
  * e.g
@@ -39,6 +58,42 @@
  *     node.call("increment", 1).then(assertEqual(2));
  *     node.call({ timeout: 5000 }, "increment", 1).then(assertEqual(2));
  *
+ * `deliveryTimeout` and `executionTimeout` time the call in two stages, split by a receipt the
+ * remote sends when it starts dispatching (TimeoutWaitingForDelivery and TimeoutWaitingForExecution,
+ * with `timeout` saying which). `heartbeat: ms` asks the remote to send heartbeats while it runs,
+ * each restarting the execution timeout
+ *
+ * the returned promise has a `.cancel(reason)` method, and a `signal` option (AbortSignal-like)
+ * cancels the call when it aborts. cancelled and timed-out calls tell the remote to stop.
+ * exposed methods get a context as `this`, with a cancellation token at `this.token`.
+ * `this.progress(data)` reports progress to callers that passed an `onProgress` option.
+ *
+ * functions in params and results are sent as handles (see `callbacks.js`). the other side gets
+ * stubs that call them back, returning promises, and should `release()` them when done
+ *
+ * ### `proxy(options?: { methods?: Array<string> }) => Remote`
+ *
+ * object whose methods call the remote's: `node.proxy().increment(1)`. other options are call options.
+ * uses Proxy where available, otherwise has `methods`, or those from the remote's handshake. type it
+ * with `proxy<T>()`, see rpcjs.d.ts
+ *
+ * ### `remoteMethods() => Promise<Array<string>>`
+ *
+ * the remote's methods, once its handshake has arrived
+ *
+ * ### `stream(options: { idleTimeout: number, highWaterMark: number }, method, ...args: Array<any>) => AsyncIterator<any>`
+ * ### `stream(method : string, ...args: Array<any>) => AsyncIterator<any>`
+ *
+ * call a method returning an async iterator, iterator, Readable or other iterable, and receive
+ * its chunks as an async iterator. the remote sends at most `highWaterMark` chunks ahead of the
+ * caller. waits for chunks only time out given an `idleTimeout`. `.return()` ends the stream early
+ *
+ * ### `use((ctx, next) => Promise<any> | any) => void`
+ *
+ * add middleware, run onion-style around incoming calls/events (before methods and listeners) and outgoing
+ * calls/emits (before they're sent). can change ctx, call next() and see the result, or answer itself.
+ * `ctx.meta` set by outgoing middleware is sent with the message. streamed calls set `ctx.stream`
+ *
  * ### on(), once(), removeListener() (aliased to .off)
  *
  * listen to events emitted by remote side. arguments as per EventEmitter
@@ -47,23 +102,66 @@
  *
  * emit event heard by remote. returns promise resolved if remote side turned up to heard about it
  *
+ * ## Connection
+ *
+ * calls and emits made while disconnected are queued (up to `queueSize`) and sent when a transport
+ * is attached via `setSend`. on disconnection pending calls fail with `Disconnected`, unless made
+ * with `retry: true`, in which case they're resent on the next transport.
+ *
+ * ### `disconnect(reason: any) => void`
+ *
+ * transport has gone. calls `opts.reconnect(pair)` if provided
+ *
+ * ### `close(reason: any) => void`
+ *
+ * shuts the pair down for good. pending and later calls, emits and streams fail with `PairClosed`,
+ * methods running for the remote are cancelled and incoming messages are ignored
+ *
+ * ### `connection: EventEmitter`
+ *
+ * emits `connect`, `disconnect`, `reconnecting`, `handshake` and `close`. `connection.state` is one of
+ * "connected", "disconnected", "reconnecting" or "closed"
+ *
+ * ### `remote: { name, version, methods, features } | null`
+ *
+ * sent by the remote in a `hello` handshake when a transport is attached, and again when it exposes
+ * methods. once known, calls to methods the remote lacks fail fast with NoSuchMethod (unless
+ * `failFast: false`), and a different protocol version is reported via `opts.error`
+ *
+ * ## Authentication
+ *
+ * `opts.credentials` are sent in the handshake, and checked by the remote's `opts.authenticate`. until
+ * authenticated, incoming calls and events get `Unauthorized`. `opts.authorize` is checked for every
+ * incoming call and event, and descriptors' `roles` or `authorize` for their method
+ *
  * ## Actor API on `RpcPair`s
  *
  * ### `getActor(id: string) => RemoteActor`
  *
  * Returns an object used to interact with a remote actor.
  *
- * ### `exposeActor(id: string, a: LocalActor) => void`
+ * ### `exposeActor(id: string, a: LocalActor, options?: { idleTimeout: number, type: string, mailbox: boolean, mailboxLimit: number }) => void`
+ *
+ * Exposes an actor which the remote side can interact with. with `mailbox`, its calls run one at a time
  *
- * Exposes an actor which the remote side can interact with
+ * ### `listActors(filter?: { prefix, type })`, `describeActor(id)`, `subscribeActors(listener)`
+ *
+ * Find out what actors the remote has, what methods they have, and hear when they're exposed or expire
  *
  * ### `callActor(id: string, method: string, ...params: Array<any>) => Promise<any>`
+ * ### `callActor(options: { registrationTimeout: number, callTimeout: number, ...CallOptions }, id: string, method: string, ...params: Array<any>) => Promise<any>`
  *
- * call a method on an actor by id.
+ * call a method on an actor by id. `registrationTimeout` and `callTimeout` (default: the call's
+ * `timeout`) are sent to the remote's registry, overriding the defaults given to `actors.register(options)`
  *
  * ### `expireActor(id: string) => void`
  *
- * Expire a previously exposed actor.
+ * Expire a previously exposed actor: calls its `expire()`, and holders hear `remote:<id>:expired`.
+ * actors can also expire when idle, see `actors.register(options)`
+ *
+ * ### `actorChanged(id: string, name: string) => void`
+ *
+ * Tell watchers a property changed. Only needed for changes made other than by assigning to it
  *
  *
  * Having a separate emitter differentiates from remote events.
@@ -75,12 +173,37 @@
  *
  * ## RemoteActor API
  *
- * ### `.call()` - as `rpc.call()`
+ * ### `.call()` - as `callActor()`, without the id
  * ### `.on(), .off()` etc - as `rpc.on() ...`
  * ### `.get(name: string) => any`
  *
  * Returns value of property on actor at point at which message is received. Serialized/deserialized as JSON.
  *
+ * ### `.release() => Promise<any>`
+ *
+ * For actors exposed methods returned with `actors.byReference(value)`, which the registry exposes
+ * under an id it picks: expires the actor. Also happens when it's garbage collected, or the pair closes.
+ *
+ * ### `.watch(name: string, fn?: (value: any) => void) => Promise<any>`, `.unwatch(name, fn?)`
+ *
+ * Calls fn with a property's value and then its changes, sent as patches (see `patch.js`). `.state`
+ * holds the latest values of watched properties.
+ *
+ * ## Protocols
+ *
+ * `opts.protocol` encodes messages for the wire and decodes them again, see `protocols/nativeProtocol.js`
+ * (the default). `protocols/jsonRpcProtocol.js` is JSON-RPC 2.0 compatible.
+ *
+ * ## Serialization
+ *
+ * `opts.serializer` is applied to params, results, event data and stream chunks. `serializer.js` round-trips
+ * Dates, Maps, Sets, BigInts, Buffers etc, and custom registered types.
+ *
+ * ## Errors
+ *
+ * `opts.errors` (see `errors.js`) rebuilds remote rejections as registered error classes, with `cause`
+ * chains and combined remote and local stacks, and can strip stacks and fields before sending.
+ *
  * ## Notes
  *
  * this handles the idea of a connection with another process,
@@ -93,21 +216,56 @@
 
 var EventEmitter = require("events").EventEmitter;
 var _ = {
+    clone: require('lodash/clone'),
     defaults: require('lodash/defaults'),
+    defaultTo: require('lodash/defaultTo'),
+    each: require('lodash/each'),
     extend: require('lodash/extend'),
+    filter: require('lodash/filter'),
+    forOwn: require('lodash/forOwn'),
+    has: require('lodash/has'),
+    includes: require('lodash/includes'),
+    intersection: require('lodash/intersection'),
+    isArray: require('lodash/isArray'),
+    isEmpty: require('lodash/isEmpty'),
+    isPlainObject: require('lodash/isPlainObject'),
+    mapValues: require('lodash/mapValues'),
+    noop: require('lodash/noop'),
+    omit: require('lodash/omit'),
     partial: require('lodash/partial'),
-    slice: require('lodash/slice')
+    set: require('lodash/set'),
+    slice: require('lodash/slice'),
+    some: require('lodash/some'),
+    upperFirst: require('lodash/upperFirst')
 };
 var promiseHelpers = require("universal-promise-helpers");
 var decorators = require("./decorators");
 var helpers = require("./helpers");
+var cancellation = require("./cancellation");
+var callbacks = require("./callbacks");
+var streaming = require("./streaming");
+var nativeProtocol = require("./protocols/nativeProtocol");
+var errors = require("./errors");
+var validation = require("./validation");
 var debug = require("debug");
 
 // deliberately unique across processes, rather than pairs
 var outgoingId = 0;
 
+// bumped on incompatible changes to messages
+var PROTOCOL_VERSION = 1;
+
+// fields of messages holding application values, which go through opts.serializer
+var PAYLOAD_FIELDS = ["params", "result", "data", "value"];
+
+// optional parts of the protocol we support, announced in the handshake
+var FEATURES = ["cancel", "stream", "receipt", "progress", "callbacks"];
+
 module.exports = exports = create;
 
+exports.PROTOCOL_VERSION = PROTOCOL_VERSION;
+exports.FEATURES = FEATURES;
+
 // client and server are current functionally equivalent: both expose and call methods
 exports.client = create;
 exports.server = create;
@@ -118,9 +276,8 @@ function create(opts) {
 
 function RpcPair(opts) {
   var self = this;
-  var send = function() {
-    throw new Error("missing send function");
-  };
+  // set when a transport is attached
+  var send = null;
 
   var log = opts.log || debug("rpcjs");
 
@@ -146,8 +303,29 @@ function RpcPair(opts) {
   // prepare our helpers with promise constructor provided
   var PromiseConstructor = self._Promise = opts.Promise;
 
+  // method descriptors by name: { fn, params?, result? }
   var methods = {};
 
+  // methods every pair has, not announced: the stubs of functions we've sent call these
+  var builtIns = {};
+  builtIns[callbacks.INVOKE] = { fn: invokeCallback };
+  builtIns[callbacks.RELEASE] = { fn: releaseCallback };
+
+  // functions we've sent in params and results, by handle id
+  var callbackHandles = callbacks.create(self.name);
+
+  // cancellation sources for calls from the remote we're currently running, by message id
+  var incomingCalls = {};
+
+  // streams we're sending to the remote, by message id
+  var outgoingStreams = {};
+
+  // streams we're receiving from the remote, by message id: functions ending them with an error
+  var incomingStreams = {};
+
+  // functions of (ctx, next), run around incoming and outgoing calls and events
+  var middleware = [];
+
   var decoratorConfig = {
     isOptionsParameter: function(param) {
       return typeof param !== "string";
@@ -157,21 +335,70 @@ function RpcPair(opts) {
   // our listeners, waiting for incoming data
   var localListeners = new EventEmitter;
 
+  // encodes our messages for the wire, and decodes them again
+  var protocol = (opts.protocol || nativeProtocol).create();
+
+  // turns errors into payloads, and back into errors
+  var errorRegistry = opts.errors || errors.create();
+
+  // connection state and events, kept apart from remote events
+  var connection = new EventEmitter;
+  connection.state = "disconnected";
+
+  // messages written while disconnected, waiting for a transport
+  var queue = [];
+
+  // acknowledged writes waiting for their result, by message id
+  var pendingWrites = {};
+
+  // promise of the remote's identity, once its handshake has arrived and we've authenticated it
+  var authentication = null;
+
+  // why we were closed, once we are
+  var closeReason;
+
   function initialize() {
     opts = _.defaults(opts || {}, {
       timeout: 500,
       emitTimeout: 500,
+      highWaterMark: 16,
+      queueSize: 100,
+      retry: false,
+      failFast: true,
+      validate: validation.validate,
     });
   }
 
   //
   // public API
   //
-  self.expose = decorators.keyValueOrObject(function(name, fn) {
-    log(self.name, "exposed", name);
+  var exposeEach = decorators.keyValueOrObject(exposeAt);
 
-    methods[name] = fn;
-  });
+  self.expose = function() {
+    exposeEach.apply(null, arguments);
+    announceMethods();
+  };
+
+  // removes a method, or a whole service
+  self.unexpose = function(name) {
+    var removed = _.filter(Object.keys(methods), _.partial(inService, name));
+    if(!removed.length) {
+      return;
+    }
+
+    log(self.name, "unexposed", removed);
+
+    removed.forEach(function(method) {
+      delete methods[method];
+    });
+    announceMethods();
+  };
+
+  // what the remote told us about itself in its handshake, null until then
+  self.remote = null;
+
+  // who the remote authenticated as, if we authenticate
+  connection.identity = null;
 
   self.emit = decorators.optionsAsFirstParameter(emit, decoratorConfig);
 
@@ -188,14 +415,34 @@ function RpcPair(opts) {
     localListeners.removeListener.apply(localListeners, arguments);
   };
 
+  self.use = function(fn) {
+    if(typeof fn !== "function") {
+      throw new Error("middleware must be a function of (ctx, next)");
+    }
+    middleware.push(fn);
+  };
+
   // call, with overloaded args
   self.call = decorators.optionsAsFirstParameter(call, decoratorConfig);
+  self.stream = decorators.optionsAsFirstParameter(stream, decoratorConfig);
   self.incoming = incoming;
 
+  self.proxy = proxy;
+  self.remoteMethods = remoteMethods;
+
+  self.connection = connection;
+
   self.setSend = function(fn) {
+    if(connection.state === "closed") {
+      throw pairClosed();
+    }
     send = fn;
+    connected();
   };
 
+  self.disconnect = disconnected;
+  self.close = close;
+
   initialize();
 
   return;
@@ -204,10 +451,31 @@ function RpcPair(opts) {
   // helpers and private API
   //
 
+  /**
+   * data coming in from the transport, which may hold many messages
+   */
+  function incoming(wire) {
+    if(connection.state === "closed") {
+      log(self.name, "ignored incoming, closed", wire);
+      return;
+    }
+
+    protocol.decode(wire).forEach(function(message) {
+      try {
+        var deserialized = mapPayload(message, opts.serializer, "deserialize");
+      } catch(e) {
+        // let callers know why their call failed, rather than leaving them to time out
+        return message.type === "call" ? sendError(message.id, e) : error(e);
+      }
+
+      receive(deserialized);
+    });
+  }
+
   /**
    * message coming in
    */
-  function incoming(message) {
+  function receive(message) {
     log(self.name, "transport-received<" + message.id + ">", message);
 
     switch(message.type) {
@@ -215,11 +483,32 @@ function RpcPair(opts) {
       return callIncoming(message);
     case "notify":
       return notifyIncoming(message);
+    case "hello":
+      return helloIncoming(message);
+    case "cancel":
+      return cancelIncoming(message);
+    case "pull":
+      return pullIncoming(message);
+    case "chunk":
+    case "end":
+      return localListeners.emit(streamEvent(message), message);
     case "result":
       log("receivedResult", message.id, message);
       return localListeners.emit(resultEvent(message), message);
+    case "received":
+    case "heartbeat":
+      return localListeners.emit(receiptEvent(message), message);
+    case "progress":
+      // progress shows the remote is still working, like a heartbeat
+      localListeners.emit(receiptEvent(message), message);
+      return localListeners.emit(progressEvent(message), message);
+    case "invalid":
+      // protocol couldn't make sense of a message, tell the sender
+      return sendError(message.id, message.error);
     default:
-      return error("unknown message type", message);
+      var err = new Error("unknown message type");
+      err.rpcMessage = message;
+      return error(err);
     }
   }
 
@@ -233,7 +522,8 @@ function RpcPair(opts) {
     write({
       id: id,
       type: "result",
-      result: result || null,
+      // undefined would be lost in JSON, but a serializer can keep it
+      result: result === undefined && !opts.serializer ? null : callbackHandles.marshal(result),
     });
   }
 
@@ -243,12 +533,7 @@ function RpcPair(opts) {
     write({
       id: id,
       type: "result",
-      // pull out all enumerable additions to error, plus standard fields
-      error: _.extend({
-        name: error.name,
-        message: error.message,
-        stack: error.stack,
-      }, error),
+      error: errorRegistry.toPayload(error),
     });
   }
 
@@ -256,128 +541,1516 @@ function RpcPair(opts) {
    * other side calling one of the methods we've exposed (hopefully)
    */
   function callIncoming(message) {
-    var method = message.method;
-    var params = message.params;
+    log(self.name, "incomingCall", message.method, message.params);
+
+    // registered straight away, so cancellations arriving while middleware runs are heard
+    var source = cancellation.source();
+    incomingCalls[message.id] = source;
+
+    var ctx = {
+      direction: "incoming",
+      type: "call",
+      id: message.id,
+      method: message.method,
+      params: unmarshalCallbacks(message.params),
+      stream: !!message.stream,
+      meta: message.meta || {},
+      token: source.token,
+      progress: progress,
+      message: message,
+      pair: self,
+    };
+
+    if(message.receipt) {
+      writeIfConnected({ id: message.id, type: "received" });
+    }
 
-    log(self.name, "incomingCall", method, params);
+    var running = authorized(ctx, function(ctx) {
+      return runMiddleware(ctx, dispatchCall);
+    });
+
+    var finished = false;
+    running.then(markFinished, markFinished);
+
+    if(message.heartbeat > 0) {
+      sendHeartbeats(message, source.token, running);
+    }
 
-    var fn = methods[method];
-    if(fn) {
-      helpers.runEnsuringPromise(PromiseConstructor, fn, params)
-        .then(_.partial(sendResult, message.id), _.partial(sendError, message.id));
+    if(message.stream) {
+      running.then(function(result) {
+        streamResult(message, source, result);
+      }, unlessCancelled(sendError));
     } else {
-      var error = new Error("NoSuchMethod");
-      error.method = method;
-      error.params = params;
-      sendError(message.id, error);
+      running.then(unlessCancelled(sendResult), unlessCancelled(sendError));
+    }
+
+    // sent only if the caller asked for progress, and is still waiting for the result
+    function progress(data) {
+      if(message.progress && !finished && !source.token.cancelled) {
+        writeIfConnected({ id: message.id, type: "progress", data: data });
+      }
     }
-  }
 
-  function acknowledgedWrite(message, timeout) {
-    var result = promiseHelpers.eventToPromise(PromiseConstructor, localListeners, resultEvent(message));
+    function markFinished() {
+      finished = true;
+    }
 
-    // handle synchronous write errors - like socket closed
-    try {
-      send(message);
-    } catch(e) {
-      return PromiseConstructor.reject(e);
+    // nobody is waiting for the result of a cancelled call
+    function unlessCancelled(fn) {
+      return function(value) {
+        delete incomingCalls[message.id];
+
+        if(!source.token.cancelled) {
+          fn(message.id, value);
+        }
+      };
     }
+  }
 
-    return promiseHelpers.timeout(PromiseConstructor, timeout, result,
-        "TimeoutWaitingForWriteAck<" + message.id + "," + message.type + ",duration: " + timeout + ">");
+  /**
+   * the remote calling back a function we sent it, with the call context as `this`
+   */
+  function invokeCallback(id) {
+    var fn = callbackHandles.get(id);
+    if(!fn) {
+      var err = new Error("NoSuchCallback");
+      err.id = id;
+      throw err;
+    }
+    return fn.apply(this, _.slice(arguments, 1));
   }
 
-  function write(message) {
-    log(self.name, "transport-written<" + message.id + ">", message);
+  /**
+   * the remote has let go of one of its stubs of a function we sent it
+   */
+  function releaseCallback(id) {
+    callbackHandles.release(id);
+  }
 
-    // handle synchronous write errors - like socket closed
-    try {
-      send(message);
-    } catch(e) {
-      error(e);
+  function unmarshalCallbacks(value) {
+    return callbackHandles.unmarshal(value, callbackStub);
+  }
+
+  /**
+   * stands in for a function the remote sent us. calling it calls the function back over
+   * this pair. `release()` lets the remote forget it, once we're done
+   */
+  function callbackStub(id) {
+    var released = null;
+
+    var stub = function() {
+      return call.apply(null, [{}, callbacks.INVOKE, id].concat(_.slice(arguments)));
+    };
+
+    stub.release = function() {
+      if(!released) {
+        released = call({}, callbacks.RELEASE, id);
+        // only of interest to those who asked
+        released.then(null, _.noop);
+      }
+      return released;
+    };
+
+    return stub;
+  }
+
+  /**
+   * lets the caller know we're still working on its call, until it's finished
+   */
+  function sendHeartbeats(message, token, running) {
+    var interval = setInterval(function() {
+      writeIfConnected({ id: message.id, type: "heartbeat" });
+    }, message.heartbeat);
+
+    function stop() {
+      clearInterval(interval);
     }
+
+    token.onCancel(stop);
+    running.then(stop, stop);
   }
 
   /**
-   * other side wants to notify us of events
+   * runs the exposed method for an incoming call, after middleware
    */
-  function notifyIncoming(message) {
-    log(self.name, "notifyIncoming", message.event, message.data);
+  function dispatchCall(ctx) {
+    var method = ctx.method;
+    var params = ctx.params;
+
+    if(ctx.token.cancelled) {
+      return PromiseConstructor.reject(ctx.token.reason);
+    }
+
+    var descriptor = _.has(methods, method) ? methods[method] : _.has(builtIns, method) && builtIns[method];
+    if(!descriptor) {
+      return PromiseConstructor.reject(noSuchMethod(method, params));
+    }
+
+    if(descriptor.authorize) {
+      return checkPolicy(descriptor.authorize, ctx)
+      .then(function() {
+        return runMethod(descriptor, ctx);
+      });
+    }
+
+    return runMethod(descriptor, ctx);
+  }
+
+  function runMethod(descriptor, ctx) {
+    var method = ctx.method;
+    var params = ctx.params;
+
+    var invalidParams = validate(descriptor.params, params);
+    if(invalidParams.length) {
+      return PromiseConstructor.reject(invalid("InvalidParams", method, invalidParams));
+    }
 
-    sendResult(message.id);
+    // exposed methods are called with a context as `this`
+    var context = {
+      id: ctx.id,
+      method: method,
+      token: ctx.token,
+      meta: ctx.meta,
+      identity: ctx.identity,
+      progress: ctx.progress,
+    };
+
+    var running = helpers.runEnsuringPromise(PromiseConstructor, descriptor.fn, params, context);
+
+    // streamed results are checked chunk by chunk, if at all
+    if(ctx.stream) {
+      return running;
+    }
 
-    opts.wrapEffects(function() {
-      localListeners.emit.apply(localListeners, [message.event].concat(message.data));
+    return running.then(function(result) {
+      var invalidResult = validate(descriptor.result, result);
+      if(invalidResult.length) {
+        log(self.name, "invalidResult", method, invalidResult);
+        return PromiseConstructor.reject(invalid("InvalidResult", method, invalidResult));
+      }
+      return result;
     });
   }
 
   /**
-   * calls a method of the remote side, returning a promise
+   * runs ctx through middleware, onion style, with innermost at the centre. each
+   * middleware can change ctx, call next() to continue and see its result,
+   * or skip next() to answer itself
    */
-  function call(options, method) {
-    var callOptions = _.defaults(options, { timeout: opts.timeout });
-    var params = _.slice(arguments, 2);
+  function runMiddleware(ctx, innermost) {
+    return dispatch(0);
 
-    var id = createNextOutgoingId();
-    log('request', id, "method: " + method);
+    function dispatch(i) {
+      if(i === middleware.length) {
+        return helpers.runEnsuringPromise(PromiseConstructor, innermost, [ctx]);
+      }
 
-    return acknowledgedWrite({
-      id: id,
-      type: "call",
-      method: method,
-      params: params,
-    }, callOptions.timeout)
-    .then(handleResult);
+      return helpers.runEnsuringPromise(PromiseConstructor, middleware[i], [ctx, function next() {
+        return dispatch(i + 1);
+      }]);
+    }
+  }
 
-    function handleResult(result) {
-      if("result" in result) {
-        return result.result;
-      } else if ("error" in result) {
-        return PromiseConstructor.reject(ensureError(result.error));
-      } else {
-        log("invalid result", result);
+  function validate(schema, value) {
+    return schema ? opts.validate(schema, value) : [];
+  }
 
-        var error = new Error("invalid result");
-        error.result = result;
-        return PromiseConstructor.reject(error);
+  function invalid(name, method, errors) {
+    var error = new Error(name);
+    error.method = method;
+    error.errors = errors;
+    return error;
+  }
+
+  /**
+   * methods are exposed under their name, and methods of services (objects) as
+   * "service.method", to any depth
+   */
+  function exposeAt(name, value) {
+    if(isMethod(value)) {
+      log(self.name, "exposed", name);
+      methods[name] = describeMethod(name, value);
+      return;
+    }
+
+    if(!value || typeof value !== "object") {
+      throw new Error("exposed method must be a function, descriptor with fn, or service object: " + name);
+    }
+
+    var members = serviceMembers(value);
+    if(_.isEmpty(members)) {
+      throw new Error("exposed method must be a function, descriptor with fn, or service object with methods: " + name);
+    }
+
+    _.each(members, function(member, key) {
+      exposeAt(name + "." + key, member);
+    });
+  }
+
+  function noSuchMethod(method, params) {
+    var error = new Error("NoSuchMethod");
+    error.method = method;
+    error.params = params;
+
+    var dot = String(method).lastIndexOf(".");
+    if(dot !== -1) {
+      var service = error.service = method.slice(0, dot);
+      if(!_.some(Object.keys(methods), _.partial(inService, service))) {
+        error.reason = "NoSuchService";
       }
     }
+
+    return error;
   }
 
   /**
-   * emits on remote side
+   * handshake, sent by each side when a transport is attached. we reply to
+   * the first so each side hears from the other, however they were connected
    */
-  function emit(options, evt) {
-    var callOptions = _.defaults(options, { acknowledge: true, timeout: opts.emitTimeout });
-    var data = _.slice(arguments, 2);
+  function helloIncoming(message) {
+    log(self.name, "helloIncoming", message);
+
+    self.remote = {
+      name: message.name,
+      version: message.version,
+      methods: message.methods || [],
+      features: message.features || [],
+    };
+
+    if(message.version !== PROTOCOL_VERSION) {
+      var err = new Error("ProtocolVersionMismatch");
+      err.localVersion = PROTOCOL_VERSION;
+      err.remoteVersion = message.version;
+      err.remoteName = message.name;
+      error(err);
+    }
+
+    // updates only tell us about methods
+    if(!message.update) {
+      authenticate(message.credentials);
+    }
+
+    if(!message.reply) {
+      sendHello(true);
+    }
 
-    return acknowledgedWrite({
+    connection.emit("handshake", self.remote);
+  }
+
+  function sendHello(reply, update) {
+    // a hello is about the transport it's sent on: the next one gets its own
+    if(connection.state !== "connected") {
+      return;
+    }
+
+    var hello = {
       id: createNextOutgoingId(),
-      type: "notify",
-      event: evt,
-      data: data,
-    }, callOptions.timeout);
+      type: "hello",
+      reply: reply,
+      name: self.name,
+      version: PROTOCOL_VERSION,
+      methods: Object.keys(methods),
+      features: FEATURES,
+    };
+
+    if(update) {
+      hello.update = true;
+    } else if(opts.credentials !== undefined) {
+      hello.credentials = typeof opts.credentials === "function" ? opts.credentials() : opts.credentials;
+    }
+
+    write(hello);
   }
 
-  function createNextOutgoingId() {
-    outgoingId += 1;
-    return self.name + ":" + outgoingId;
+  // let the remote know our methods have changed
+  function announceMethods() {
+    if(connection.state === "connected") {
+      sendHello(true, true);
+    }
   }
-}
 
-function ensureError(err) {
-  if(err instanceof Error) {
-    err.remote = true;
-    return err;
-  } else {
-    var properties = _.defaults(err || {}, { message: "RejectedWithNonError" });
-    var error = new Error(properties.message);
-    error.remote = true;
-    _.extend(error, properties);
+  function authenticate(credentials) {
+    if(typeof opts.authenticate !== "function") {
+      return;
+    }
+
+    var current = authentication = helpers.runEnsuringPromise(PromiseConstructor, opts.authenticate, [credentials, self.remote]);
+
+    current.then(function(identity) {
+      if(authentication === current) {
+        connection.identity = identity || null;
+        connection.emit("authenticate", connection.identity);
+      }
+    }, function(err) {
+      log(self.name, "authenticationFailed", err);
+      if(authentication === current) {
+        connection.identity = null;
+        connection.emit("authenticationFailed", err);
+      }
+    });
+  }
+
+  /**
+   * sets ctx.identity, and runs fn(ctx) if the remote is allowed to send it
+   */
+  function authorized(ctx, fn) {
+    if(!opts.authenticate && !opts.authorize) {
+      return fn(ctx);
+    }
+
+    return identify(ctx)
+    .then(function(identity) {
+      ctx.identity = identity;
+      return checkPolicy(opts.authorize, ctx);
+    })
+    .then(function() {
+      return fn(ctx);
+    });
+  }
+
+  function identify(ctx) {
+    if(!opts.authenticate) {
+      return PromiseConstructor.resolve(null);
+    }
+
+    if(!authentication) {
+      return PromiseConstructor.reject(unauthorized(ctx, "NotAuthenticated"));
+    }
+
+    return authentication.then(function(identity) {
+      return identity || PromiseConstructor.reject(unauthorized(ctx, "AuthenticationFailed"));
+    }, function(err) {
+      return PromiseConstructor.reject(unauthorized(ctx, err.message || "AuthenticationFailed"));
+    });
+  }
+
+  /**
+   * policies are functions of (identity, ctx) returning (a promise of) true to allow
+   */
+  function checkPolicy(policy, ctx) {
+    if(!policy) {
+      return PromiseConstructor.resolve();
+    }
+
+    return helpers.runEnsuringPromise(PromiseConstructor, policy, [ctx.identity, ctx])
+    .then(function(allowed) {
+      if(!allowed) {
+        return PromiseConstructor.reject(unauthorized(ctx, "Forbidden"));
+      }
+    });
+  }
+
+  function unauthorized(ctx, reason) {
+    var error = new Error("Unauthorized");
+    error.reason = reason;
+    if(ctx.type === "call") {
+      error.method = ctx.method;
+    } else {
+      error.event = ctx.event;
+    }
     return error;
   }
-}
 
-function resultEvent(message) {
-  return "result:" + message.id;
+  /**
+   * we know the remote doesn't have the method, so there's no point asking
+   */
+  function knownMissing(method) {
+    if(!opts.failFast || self.remote === null) {
+      return false;
+    }
+    return _.has(builtIns, method) ? !_.includes(self.remote.features, "callbacks")
+      : self.remote.methods.indexOf(method) === -1;
+  }
+
+  /**
+   * other side gave up on a call, tell the method to stop
+   */
+  function cancelIncoming(message) {
+    log(self.name, "cancelIncoming", message.id);
+
+    if(!_.has(incomingCalls, message.id)) {
+      return;
+    }
+
+    var source = incomingCalls[message.id];
+    delete incomingCalls[message.id];
+
+    var reason = new Error("CallCancelled");
+    reason.reason = message.reason;
+    source.cancel(reason);
+  }
+
+  /**
+   * send the result of a streaming call chunk by chunk, as the
+   * remote grants us credit
+   */
+  function streamResult(message, source, result) {
+    var id = message.id;
+    var iterator = streaming.toIterator(PromiseConstructor, result);
+
+    var state = outgoingStreams[id] = {
+      credit: message.credit || 0,
+      pumping: false,
+      pump: pump,
+    };
+
+    source.token.onCancel(finish);
+
+    pump();
+
+    function pump() {
+      if(state.pumping || state.credit <= 0 || source.token.cancelled) {
+        return;
+      }
+      state.pumping = true;
+
+      iterator.next().then(function(step) {
+        state.pumping = false;
+
+        if(source.token.cancelled) {
+          return;
+        }
+
+        if(step.done) {
+          write({ id: id, type: "end" });
+          return finish();
+        }
+
+        state.credit -= 1;
+        write({ id: id, type: "chunk", value: step.value });
+        pump();
+      }, function(err) {
+        state.pumping = false;
+
+        if(!source.token.cancelled) {
+          write({ id: id, type: "end", error: errorRegistry.toPayload(err) });
+        }
+        finish();
+      });
+    }
+
+    function finish() {
+      if(outgoingStreams[id] !== state) {
+        return;
+      }
+
+      delete outgoingStreams[id];
+      delete incomingCalls[id];
+
+      // early termination - let the source clean up
+      if(source.token.cancelled) {
+        iterator.return().then(null, error);
+      }
+    }
+  }
+
+  /**
+   * remote is ready for more chunks of a stream
+   */
+  function pullIncoming(message) {
+    var state = outgoingStreams[message.id];
+    if(!state) {
+      return;
+    }
+
+    state.credit += message.count;
+    state.pump();
+  }
+
+  /**
+   * write a message we expect a result for. if we're disconnected before it
+   * arrives, the write is retried on reconnection, or failed, according to `retry`.
+   *
+   * timeout is a duration, or a function timing the outcome itself. onTimeout is called only
+   * if the result never turned up in time
+   */
+  function acknowledgedWrite(message, timeout, onTimeout, retry) {
+    var result = promiseHelpers.deferred(PromiseConstructor);
+    var failure = promiseHelpers.deferred(PromiseConstructor);
+
+    var pending = {
+      message: message,
+      retry: retry,
+      fail: failure.reject,
+    };
+
+    // listening from before the write, so replies sent straight back aren't missed
+    localListeners.on(resultEvent(message), result.resolve);
+    var outcome = helpers.race(PromiseConstructor, [result.promise, failure.promise]);
+
+    var timed = typeof timeout === "function" ? timeout(outcome)
+      : promiseHelpers.timeout(PromiseConstructor, timeout, outcome,
+        "TimeoutWaitingForWriteAck<" + message.id + "," + message.type + ",duration: " + timeout + ">");
+
+    // results of calls that timed out, were cancelled or failed won't come, so stop listening
+    timed.then(stopListening, stopListening);
+
+    try {
+      transmit(message);
+    } catch(e) {
+      pending.failed = true;
+      failure.reject(e);
+      return timed;
+    }
+
+    pendingWrites[message.id] = pending;
+
+    timed.then(finished, function(err) {
+      finished();
+
+      if(onTimeout && !pending.failed) {
+        onTimeout(err);
+      }
+    });
+
+    return timed;
+
+    function finished() {
+      delete pendingWrites[message.id];
+    }
+
+    function stopListening() {
+      localListeners.removeListener(resultEvent(message), result.resolve);
+    }
+  }
+
+  /**
+   * fails a pending write its caller has given up on, so it's neither timed out nor retried,
+   * and isn't sent if it's still queued
+   */
+  function abandonWrite(id, err) {
+    if(!_.has(pendingWrites, id)) {
+      return;
+    }
+
+    var pending = pendingWrites[id];
+    delete pendingWrites[id];
+
+    var queued = queue.indexOf(pending.message);
+    if(queued !== -1) {
+      queue.splice(queued, 1);
+    }
+
+    pending.failed = true;
+    pending.fail(err);
+  }
+
+  function write(message) {
+    // nobody is listening any more
+    if(connection.state === "closed") {
+      return;
+    }
+
+    try {
+      transmit(message);
+    } catch(e) {
+      unsent(message, e);
+    }
+  }
+
+  /**
+   * for messages that mean nothing on a later transport, like receipts, heartbeats and progress:
+   * they're dropped rather than queued
+   */
+  function writeIfConnected(message) {
+    if(connection.state === "connected") {
+      write(message);
+    }
+  }
+
+  /**
+   * a message that couldn't be sent. the call it was for fails, the caller of a result or
+   * streamed chunk hears why rather than waiting, and anything else is reported
+   */
+  function unsent(message, err) {
+    if(_.has(pendingWrites, message.id) && pendingWrites[message.id].message === message) {
+      abandonWrite(message.id, err);
+    } else if(message.type === "result" && !("error" in message)) {
+      sendError(message.id, err);
+    } else if(message.type === "chunk" && _.has(outgoingStreams, message.id)) {
+      // the rest of the stream is no use without it
+      write({ id: message.id, type: "end", error: errorRegistry.toPayload(err) });
+      incomingCalls[message.id].cancel(err);
+    } else {
+      error(err);
+    }
+  }
+
+  /**
+   * sends message if we're connected, otherwise queues it until a transport
+   * is attached. throws if the queue is full
+   *
+   * also throws what encoding or sending throws, e.g for a result JSON can't encode. that's the
+   * message's failure, not the transport's: transports tell us they've gone with `disconnect()`
+   */
+  function transmit(message) {
+    if(connection.state === "closed") {
+      throw pairClosed();
+    }
+
+    if(connection.state === "connected") {
+      log(self.name, "transport-written<" + message.id + ">", message);
+
+      var encoded = protocol.encode(mapPayload(message, opts.serializer, "serialize"));
+      if(encoded != null) {
+        send(encoded);
+      }
+      return;
+    }
+
+    if(queue.length >= opts.queueSize) {
+      var err = new Error("OutboundQueueFull");
+      err.queueSize = opts.queueSize;
+      err.id = message.id;
+      throw err;
+    }
+
+    log(self.name, "queued<" + message.id + ">", message);
+    queue.push(message);
+  }
+
+  function connected() {
+    log(self.name, "connected");
+
+    connection.state = "connected";
+    connection.emit("connect");
+
+    sendHello(false);
+
+    var queued = queue;
+    queue = [];
+    queued.forEach(write);
+  }
+
+  /**
+   * transport went away. pending writes are queued for the next transport if
+   * they asked to be retried, otherwise they fail
+   */
+  function disconnected(reason) {
+    if(connection.state !== "connected") {
+      return;
+    }
+
+    log(self.name, "disconnected", reason);
+
+    send = null;
+    connection.state = "disconnected";
+
+    // the next transport could lead somewhere else
+    self.remote = null;
+    authentication = null;
+    connection.identity = null;
+
+    var retried = [];
+
+    _.each(pendingWrites, function(pending) {
+      if(pending.retry) {
+        retried.push(pending.message);
+      } else {
+        var err = disconnectedError(reason);
+        err.id = pending.message.id;
+        pending.failed = true;
+        pending.fail(err);
+      }
+    });
+
+    // retried messages were written before anything queued
+    queue = retried.concat(queue);
+
+    // streams don't outlive the transport: ours end, and we stop sending the remote's
+    _.each(incomingStreams, function(end) {
+      end(disconnectedError(reason));
+    });
+
+    _.each(outgoingStreams, function(state, id) {
+      var source = incomingCalls[id];
+      delete incomingCalls[id];
+      source.cancel(disconnectedError(reason));
+    });
+
+    connection.emit("disconnect", reason);
+
+    if(typeof opts.reconnect === "function") {
+      connection.state = "reconnecting";
+      connection.emit("reconnecting");
+      opts.reconnect(self);
+    }
+  }
+
+  /**
+   * shuts the pair down for good: in-flight calls, emits and streams fail with PairClosed,
+   * methods we're running are cancelled, incoming messages are ignored, and the transport and
+   * anything else listening for the connection's `close` let go of us
+   */
+  function close(reason) {
+    if(connection.state === "closed") {
+      return;
+    }
+
+    log(self.name, "closed", reason);
+
+    closeReason = reason;
+    send = null;
+    queue = [];
+    connection.state = "closed";
+
+    self.remote = null;
+    authentication = null;
+    connection.identity = null;
+
+    _.each(pendingWrites, function(pending) {
+      pending.failed = true;
+      pending.fail(pairClosed());
+    });
+
+    _.each(incomingCalls, function(source) {
+      source.cancel(pairClosed());
+    });
+    incomingCalls = {};
+
+    _.each(incomingStreams, function(end) {
+      end(pairClosed());
+    });
+
+    callbackHandles.clear();
+
+    connection.emit("close", reason);
+
+    localListeners.removeAllListeners();
+  }
+
+  function disconnectedError(reason) {
+    var err = new Error("Disconnected");
+    err.reason = reason;
+    return err;
+  }
+
+  function pairClosed() {
+    var err = new Error("PairClosed");
+    err.reason = closeReason;
+    return err;
+  }
+
+  /**
+   * other side wants to notify us of events
+   */
+  function notifyIncoming(message) {
+    log(self.name, "notifyIncoming", message.event, message.data);
+
+    var ctx = {
+      direction: "incoming",
+      type: "notify",
+      id: message.id,
+      event: message.event,
+      data: message.data,
+      meta: message.meta || {},
+      message: message,
+      pair: self,
+    };
+
+    var handled = authorized(ctx, function(ctx) {
+      return runMiddleware(ctx, function(ctx) {
+        opts.wrapEffects(function() {
+          localListeners.emit.apply(localListeners, [ctx.event].concat(ctx.data));
+        });
+      });
+    });
+
+    // some protocols have notifications without ids, which we can't acknowledge
+    if(message.id != null) {
+      handled.then(function() {
+        sendResult(message.id);
+      }, _.partial(sendError, message.id));
+    } else {
+      handled.then(null, error);
+    }
+  }
+
+  /**
+   * calls a method of the remote side, returning a promise. the promise has
+   * a .cancel(reason) method, which rejects it with CallCancelled and tells
+   * the remote method to stop. passing an AbortSignal-like `signal`
+   * option does the same when it aborts.
+   */
+  function call(options, method) {
+    var callOptions = _.defaults(options, { timeout: opts.timeout, retry: opts.retry });
+    var params = _.slice(arguments, 2);
+
+    var id = createNextOutgoingId();
+    log('request', id, "method: " + method);
+
+    // so errors can show where the call came from, as well as the remote stack
+    var callStack = new Error().stack;
+
+    var cancelled = promiseHelpers.deferred(PromiseConstructor);
+    var finished = false;
+
+    var ctx = {
+      direction: "outgoing",
+      type: "call",
+      id: id,
+      method: method,
+      params: params,
+      options: callOptions,
+      meta: {},
+      pair: self,
+    };
+
+    // listening before the call is written, as progress can arrive straight back
+    var onProgress = callOptions.onProgress;
+    if(onProgress) {
+      localListeners.on(progressEvent({ id: id }), progressed);
+    }
+
+    var promise = helpers.race(PromiseConstructor, [
+      runMiddleware(ctx, writeCall),
+      cancelled.promise,
+    ]);
+
+    promise.then(markFinished, markFinished);
+    promise.cancel = cancel;
+
+    var signal = callOptions.signal;
+    if(signal) {
+      if(signal.aborted) {
+        cancel(signal.reason);
+      } else {
+        signal.addEventListener("abort", onAbort);
+      }
+    }
+
+    return promise;
+
+    function cancel(reason) {
+      if(finished) {
+        return;
+      }
+      finished = true;
+
+      log(self.name, "cancel", id);
+      sendCancel(reason);
+
+      var error = new Error("CallCancelled");
+      error.method = method;
+      error.reason = reason;
+      abandonWrite(id, error);
+      cancelled.reject(error);
+    }
+
+    function sendCancel(reason) {
+      write({
+        id: id,
+        type: "cancel",
+        reason: reason instanceof Error ? reason.message : reason,
+      });
+    }
+
+    function onAbort() {
+      cancel(signal.reason);
+    }
+
+    function markFinished() {
+      finished = true;
+
+      if(signal) {
+        signal.removeEventListener("abort", onAbort);
+      }
+      if(onProgress) {
+        localListeners.removeListener(progressEvent({ id: id }), progressed);
+      }
+    }
+
+    function progressed(message) {
+      if(finished) {
+        return;
+      }
+
+      opts.wrapEffects(function() {
+        try {
+          onProgress(message.data);
+        } catch(e) {
+          error(e);
+        }
+      });
+    }
+
+    function writeCall(ctx) {
+      if(finished) {
+        return cancelled.promise;
+      }
+
+      if(knownMissing(ctx.method)) {
+        return PromiseConstructor.reject(noSuchMethod(ctx.method, ctx.params));
+      }
+
+      ctx.message = callMessage(ctx);
+
+      if(onProgress) {
+        ctx.message.progress = true;
+      }
+
+      return acknowledgedWrite(ctx.message, callTimeout(ctx.message, callOptions), function() {
+        sendCancel("timeout");
+      }, callOptions.retry)
+      .then(handleResult);
+    }
+
+    function handleResult(result) {
+      if("result" in result) {
+        return unmarshalCallbacks(result.result);
+      } else if ("error" in result) {
+        return PromiseConstructor.reject(errorRegistry.fromPayload(result.error, callStack));
+      } else {
+        log("invalid result", result);
+
+        var error = new Error("invalid result");
+        error.result = result;
+        return PromiseConstructor.reject(error);
+      }
+    }
+  }
+
+  /**
+   * the message for an outgoing call, once middleware has had its say
+   */
+  function callMessage(ctx) {
+    return withMeta({
+      id: ctx.id,
+      type: "call",
+      method: ctx.method,
+      params: callbackHandles.marshal(ctx.params),
+    }, ctx.meta);
+  }
+
+  /**
+   * how long to wait for a call. with a deliveryTimeout or executionTimeout, the remote is asked
+   * for a receipt (and heartbeats) and the call is timed in stages, unless the protocol can't ask, or
+   * the remote has told us it can't send them
+   */
+  function callTimeout(message, options) {
+    if(options.deliveryTimeout == null && options.executionTimeout == null) {
+      return options.timeout;
+    }
+
+    var deliveryTimeout = _.defaultTo(options.deliveryTimeout, options.timeout);
+    var executionTimeout = _.defaultTo(options.executionTimeout, options.timeout);
+
+    if(!protocol.receipts || self.remote && !_.includes(self.remote.features, "receipt")) {
+      return deliveryTimeout + executionTimeout;
+    }
+
+    message.receipt = true;
+    if(options.heartbeat) {
+      message.heartbeat = options.heartbeat;
+    }
+
+    return function(outcome) {
+      return stagedTimeout(message, outcome, deliveryTimeout, executionTimeout);
+    };
+  }
+
+  /**
+   * fails with TimeoutWaitingForDelivery if the remote's receipt doesn't arrive within
+   * deliveryTimeout, then with TimeoutWaitingForExecution if the result doesn't arrive within
+   * executionTimeout of the receipt, or of the last heartbeat. the error's `timeout` says which
+   */
+  function stagedTimeout(message, outcome, deliveryTimeout, executionTimeout) {
+    var timed = promiseHelpers.deferred(PromiseConstructor);
+    var timer = null;
+
+    localListeners.on(receiptEvent(message), onReceipt);
+    wait("delivery", deliveryTimeout);
+
+    outcome.then(function(result) {
+      stop();
+      timed.resolve(result);
+    }, function(err) {
+      stop();
+      timed.reject(err);
+    });
+
+    return timed.promise;
+
+    function onReceipt() {
+      wait("execution", executionTimeout);
+    }
+
+    function wait(stage, duration) {
+      clearTimeout(timer);
+      timer = setTimeout(function() {
+        stop();
+
+        var err = new Error("TimeoutWaitingFor" + _.upperFirst(stage) + "<" + message.id + ",duration: " + duration + ">");
+        err.timeout = stage;
+        err.duration = duration;
+        timed.reject(err);
+      }, duration);
+    }
+
+    function stop() {
+      clearTimeout(timer);
+      localListeners.removeListener(receiptEvent(message), onReceipt);
+    }
+  }
+
+  /**
+   * calls a method of the remote side whose result is streamed back, returning an
+   * async iterator. the remote is only sent as many chunks as we've
+   * room for in our buffer (options.highWaterMark)
+   */
+  function stream(options, method) {
+    var callOptions = _.defaults(options, { highWaterMark: opts.highWaterMark });
+    var params = _.slice(arguments, 2);
+    var highWaterMark = callOptions.highWaterMark;
+
+    // streams like a log's tail can be quiet for a while, so waits for chunks only time out if asked
+    var idleTimeout = _.defaultTo(callOptions.idleTimeout, callOptions.timeout);
+
+    var id = createNextOutgoingId();
+    log('stream', id, "method: " + method);
+
+    var callStack = new Error().stack;
+
+    // steps received but not yet consumed, and next() calls waiting for steps, in order
+    var buffered = [];
+    var waiters = [];
+    var consumed = 0;
+    var finished = false;
+
+    var iterator = {
+      next: next,
+      return: terminate,
+    };
+
+    if(streaming.asyncIteratorSymbol) {
+      iterator[streaming.asyncIteratorSymbol] = function() {
+        return iterator;
+      };
+    }
+
+    localListeners.on(streamEvent({ id: id }), onMessage);
+    localListeners.on(resultEvent({ id: id }), onMessage);
+    incomingStreams[id] = fail;
+
+    if(connection.state === "closed") {
+      fail(pairClosed());
+      return iterator;
+    }
+
+    var ctx = {
+      direction: "outgoing",
+      type: "call",
+      stream: true,
+      id: id,
+      method: method,
+      params: params,
+      options: callOptions,
+      meta: {},
+      pair: self,
+    };
+
+    // middleware refusing the call, or failing, ends the stream with its error
+    runMiddleware(ctx, writeStreamCall).then(null, function(err) {
+      if(!finished) {
+        fail(err);
+      }
+    });
+
+    return iterator;
+
+    // resolves once the call's written: its chunks arrive through the iterator
+    function writeStreamCall(ctx) {
+      // ended with .return() already
+      if(finished) {
+        return;
+      }
+
+      if(knownMissing(ctx.method)) {
+        return PromiseConstructor.reject(noSuchMethod(ctx.method, ctx.params));
+      }
+
+      ctx.message = callMessage(ctx);
+      ctx.message.stream = true;
+      ctx.message.credit = highWaterMark;
+
+      write(ctx.message);
+    }
+
+    function next() {
+      if(buffered.length) {
+        return PromiseConstructor.resolve(buffered.shift()).then(settle);
+      }
+
+      if(finished) {
+        return PromiseConstructor.resolve({ value: undefined, done: true });
+      }
+
+      var waiter = promiseHelpers.deferred(PromiseConstructor);
+      waiters.push(waiter);
+
+      var waited = !(idleTimeout > 0) ? waiter.promise
+        : promiseHelpers.timeout(PromiseConstructor, idleTimeout, waiter.promise,
+          "TimeoutWaitingForStream<" + id + ",duration: " + idleTimeout + ">");
+
+      return waited.then(settle, function(err) {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        cancel("timeout");
+        // the stream's over for the rest too
+        endWaiters({ failed: err });
+        return PromiseConstructor.reject(err);
+      });
+    }
+
+    function settle(step) {
+      if(step.failed) {
+        return PromiseConstructor.reject(step.failed);
+      }
+
+      if(step.error) {
+        return PromiseConstructor.reject(errorRegistry.fromPayload(step.error, callStack));
+      }
+
+      if(!step.done) {
+        requestMore();
+      }
+
+      return step;
+    }
+
+    function requestMore() {
+      consumed += 1;
+
+      if(!finished && consumed >= Math.ceil(highWaterMark / 2)) {
+        write({ id: id, type: "pull", count: consumed });
+        consumed = 0;
+      }
+    }
+
+    function fail(err) {
+      stopListening();
+      if(waiters.length) {
+        endWaiters({ failed: err });
+      } else {
+        buffered.push({ failed: err });
+      }
+    }
+
+    function onMessage(message) {
+      var step;
+
+      switch(message.type) {
+      case "chunk":
+        step = { value: message.value, done: false };
+        break;
+      case "end":
+        step = message.error ? { error: message.error } : { value: undefined, done: true };
+        stopListening();
+        break;
+      case "result":
+        // e.g the method didn't exist, or threw before returning
+        step = "error" in message ? { error: message.error } : { value: message.result, done: false };
+        stopListening();
+        break;
+      }
+
+      deliver(step);
+
+      if(message.type === "result" && !step.error) {
+        deliver({ value: undefined, done: true });
+      }
+
+      // nothing more is coming for those still waiting
+      if(finished) {
+        endWaiters({ value: undefined, done: true });
+      }
+    }
+
+    function deliver(step) {
+      if(waiters.length) {
+        waiters.shift().resolve(step);
+      } else {
+        buffered.push(step);
+      }
+    }
+
+    function endWaiters(step) {
+      var ended = waiters;
+      waiters = [];
+      ended.forEach(function(waiter) {
+        waiter.resolve(step);
+      });
+    }
+
+    function terminate() {
+      if(!finished) {
+        cancel("return");
+      }
+      buffered = [];
+      endWaiters({ value: undefined, done: true });
+      return PromiseConstructor.resolve({ value: undefined, done: true });
+    }
+
+    function cancel(reason) {
+      stopListening();
+
+      write({
+        id: id,
+        type: "cancel",
+        reason: reason,
+      });
+    }
+
+    function stopListening() {
+      finished = true;
+      delete incomingStreams[id];
+      localListeners.removeListener(streamEvent({ id: id }), onMessage);
+      localListeners.removeListener(resultEvent({ id: id }), onMessage);
+    }
+  }
+
+  /**
+   * returns an object whose methods call the remote's, e.g `remote.increment(1)`, or
+   * `remote.users.getById(1)` for services. where there's no Proxy support, or
+   * options.methods is given, it has only those methods, or the ones the remote told us
+   * about in its handshake
+   */
+  function proxy(options) {
+    options = options || {};
+    var callOptions = _.omit(options, "methods");
+    // by dotted name, so not looked up with _.has, which takes dots for paths
+    var cache = Object.create(null);
+
+    if(options.methods || typeof Proxy !== "function") {
+      var names = options.methods || (self.remote && self.remote.methods);
+      if(!names) {
+        throw new Error("proxy without Proxy support needs methods, e.g from remoteMethods()");
+      }
+
+      var remote = {};
+      names.forEach(function(name) {
+        _.set(remote, name.split("."), method(name));
+      });
+      return remote;
+    }
+
+    return new Proxy({}, {
+      get: function(target, name) {
+        return member(name);
+      },
+    });
+
+    // symbols, and `then` - so proxies aren't mistaken for promises
+    function member(name, service) {
+      if(typeof name !== "string" || name === "then") {
+        return undefined;
+      }
+      return proxied(service ? service + "." + name : name);
+    }
+
+    // a method, which can also be a service with methods of its own. those are the remote's, even
+    // where a function has a member of the same name, like `apply`, `bind` or `length`
+    function proxied(name) {
+      if(!cache[name]) {
+        cache[name] = new Proxy(method(name), {
+          get: function(target, key) {
+            return member(key, name);
+          },
+        });
+      }
+      return cache[name];
+    }
+
+    function method(name) {
+      return function() {
+        return call.apply(null, [_.clone(callOptions), name].concat(_.slice(arguments)));
+      };
+    }
+  }
+
+  /**
+   * the remote's methods, once its handshake has arrived
+   */
+  function remoteMethods(options) {
+    var timeout = (options && options.timeout) || opts.timeout;
+
+    if(self.remote) {
+      return PromiseConstructor.resolve(self.remote.methods);
+    }
+
+    return promiseHelpers.timeout(PromiseConstructor, timeout,
+      promiseHelpers.eventToPromise(PromiseConstructor, connection, "handshake"),
+      "TimeoutWaitingForHandshake")
+    .then(function(remote) {
+      return remote.methods;
+    });
+  }
+
+  /**
+   * emits on remote side
+   */
+  function emit(options, evt) {
+    var callOptions = _.defaults(options, { acknowledge: true, timeout: opts.emitTimeout, retry: opts.retry });
+    var data = _.slice(arguments, 2);
+
+    var id = createNextOutgoingId();
+    var callStack = new Error().stack;
+
+    var ctx = {
+      direction: "outgoing",
+      type: "notify",
+      id: id,
+      event: evt,
+      data: data,
+      options: callOptions,
+      meta: {},
+      pair: self,
+    };
+
+    return runMiddleware(ctx, function(ctx) {
+      var message = ctx.message = withMeta({
+        id: id,
+        type: "notify",
+        event: ctx.event,
+        data: ctx.data,
+      }, ctx.meta);
+
+      if(!protocol.acknowledgesNotifications) {
+        transmit(message);
+        return;
+      }
+
+      return acknowledgedWrite(message, callOptions.timeout, null, callOptions.retry)
+      .then(function(ack) {
+        // remote middleware can refuse events
+        if(ack.error) {
+          return PromiseConstructor.reject(errorRegistry.fromPayload(ack.error, callStack));
+        }
+        return ack;
+      });
+    });
+  }
+
+  function createNextOutgoingId() {
+    outgoingId += 1;
+    return self.name + ":" + outgoingId;
+  }
+}
+
+/**
+ * exposed methods can be functions, or descriptors:
+ *
+ *     { fn: Function, params?: Schema | Array<Schema>, result?: Schema, roles?: Array<string>, authorize?: Policy }
+ *
+ * an array of params schemas checks each param by position
+ */
+function isMethod(value) {
+  return typeof value === "function" || (!!value && typeof value.fn === "function");
+}
+
+function inService(service, method) {
+  return method === service || method.indexOf(service + ".") === 0;
+}
+
+/**
+ * methods and nested services of a service. plain objects' functions are called with the
+ * call context as `this`, like other exposed methods. other objects, e.g class instances,
+ * have their own methods and their class's bound to them, and nothing else exposed. base classes'
+ * methods aren't: an EventEmitter's `emit` or `removeAllListeners` aren't for remotes to call
+ */
+function serviceMembers(service) {
+  var members = {};
+  var instance = !_.isPlainObject(service);
+
+  // forOwn, as _.each would take services with a numeric `length` for arrays
+  _.forOwn(service, function(value, key) {
+    if(isMethod(value) || !instance && _.isPlainObject(value)) {
+      members[key] = value;
+    }
+  });
+
+  if(instance) {
+    var proto = Object.getPrototypeOf(service);
+    if(proto && proto !== Object.prototype) {
+      Object.getOwnPropertyNames(proto).forEach(function(key) {
+        if(key !== "constructor" && !_.has(members, key) && typeof service[key] === "function") {
+          members[key] = service[key];
+        }
+      });
+    }
+
+    members = _.mapValues(members, function(member) {
+      return typeof member === "function" ? member.bind(service) : member;
+    });
+  }
+
+  return members;
+}
+
+function describeMethod(name, method) {
+  if(typeof method === "function") {
+    return { fn: method };
+  }
+
+  if(!method || typeof method.fn !== "function") {
+    throw new Error("exposed method must be a function, or descriptor with fn: " + name);
+  }
+
+  var descriptor = _.extend({}, method);
+  if(_.isArray(descriptor.params)) {
+    descriptor.params = { type: "array", items: descriptor.params };
+  }
+  if(descriptor.roles) {
+    if(descriptor.authorize) {
+      throw new Error("exposed method can have roles or authorize, not both: " + name);
+    }
+    descriptor.authorize = hasRole(descriptor.roles);
+  }
+  return descriptor;
+}
+
+function hasRole(roles) {
+  return function(identity) {
+    return !!identity && _.intersection(identity.roles, roles).length > 0;
+  };
+}
+
+// middleware can add metadata to messages, e.g for tracing
+function withMeta(message, meta) {
+  if(!_.isEmpty(meta)) {
+    message.meta = meta;
+  }
+  return message;
+}
+
+/**
+ * copy of message with application values serialized or deserialized
+ */
+function mapPayload(message, serializer, method) {
+  if(!serializer) {
+    return message;
+  }
+
+  var mapped = _.extend({}, message);
+  PAYLOAD_FIELDS.forEach(function(field) {
+    if(field in mapped) {
+      mapped[field] = serializer[method](mapped[field]);
+    }
+  });
+  return mapped;
+}
+
+function resultEvent(message) {
+  return "result:" + message.id;
+}
+
+function progressEvent(message) {
+  return "progress:" + message.id;
+}
+
+function receiptEvent(message) {
+  return "receipt:" + message.id;
+}
+
+function streamEvent(message) {
+  return "stream:" + message.id;
 }
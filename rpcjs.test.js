@@ -1,14 +1,27 @@
 "use strict";
 
 var rpc = require("./rpcjs");
+var jsonRpcProtocol = require("./protocols/jsonRpcProtocol");
+var serializer = require("./serializer");
+var errors = require("./errors");
+var util = require("util");
 var actors = require("./actors");
 var _ = require("lodash");
 var EventEmitter = require("events").EventEmitter;
 var assert = require("chai").assert;
 var sinon = require("sinon");
+var PassThrough = require("stream").PassThrough;
 
 var Promise = require("bluebird");
 
+// missing from older nodes, whose tests for it are skipped
+var workerThreads = optionalRequire("worker_threads");
+
+// a devDependency, for testing against real sockets
+var ws = optionalRequire("ws");
+
+var gc = exposeGc();
+
 describe('rpc', function() {
 
   this.timeout(150);
@@ -18,11 +31,13 @@ describe('rpc', function() {
 
   describe('simple RPC', function() {
     var clientEventSpy;
+    var cancelledSpy;
 
     beforeEach(function(done) {
       var self = this;
       createServerClientPair(self, done, function(start) {
         clientEventSpy = sinon.spy()
+        cancelledSpy = sinon.spy()
         server.on("clientEvent", clientEventSpy);
 
         server.expose({
@@ -47,6 +62,15 @@ describe('rpc', function() {
           throws: function() {
             throw new Error("threw");
           },
+          cancellable: function() {
+            var token = this.token;
+            return new Promise(function(resolve) {
+              token.onCancel(function(reason) {
+                cancelledSpy(reason);
+                resolve();
+              });
+            })
+          },
         })
 
         start();
@@ -116,6 +140,121 @@ describe('rpc', function() {
        // expect a Error: invalid result 
     })
 
+    it('is possible for client to cancel a call', function() {
+      var call = client.call("cancellable");
+
+      setTimeout(call.cancel, 5);
+
+      return call
+      .then(function() {
+        throw new Error("expected cancellation");
+      }, function(err) {
+        assert.match(err.message, /CallCancelled/);
+        assert.equal(cancelledSpy.callCount, 1, "remote method should have been cancelled");
+      });
+    })
+
+    it('cancels remote method when call times out', function(done) {
+      client.call({ timeout: 10 }, "cancellable")
+      .nodeify(function(err) {
+        assert.match(err.message, /Timeout/);
+
+        setTimeout(function() {
+          assert.equal(cancelledSpy.callCount, 1, "remote method should have been cancelled");
+          done();
+        }, 5);
+      })
+    })
+
+    it('cancels calls when signal aborts', function() {
+      var signal = new EventEmitter;
+      signal.addEventListener = signal.on;
+      signal.removeEventListener = signal.removeListener;
+
+      var call = client.call({ signal: signal }, "cancellable");
+
+      setTimeout(function() {
+        signal.aborted = true;
+        signal.emit("abort");
+      }, 5);
+
+      return call
+      .then(function() {
+        throw new Error("expected cancellation");
+      }, function(err) {
+        assert.match(err.message, /CallCancelled/);
+        assert.equal(cancelledSpy.callCount, 1, "remote method should have been cancelled");
+      });
+    })
+
+    it('sends one cancel for cancelled calls, not another when they would have timed out', function() {
+      var cancels = sinon.spy();
+      client.setSend(function(msg) {
+        if(msg.type === "cancel") {
+          cancels(msg);
+        }
+        server.incoming(msg);
+      });
+
+      var call = client.call({ timeout: 10 }, "cancellable");
+      call.cancel();
+
+      return call
+      .catch(function() {
+        return Promise.delay(20);
+      })
+      .then(function() {
+        assert.equal(cancels.callCount, 1);
+      });
+    })
+
+    it('stops listening for results of cancelled and timed out calls', function() {
+      var on = sinon.spy(EventEmitter.prototype, "on");
+
+      var cancelled = client.call("cancellable");
+      var timedOut = client.call({ timeout: 10 }, "cancellable");
+
+      return Promise.delay(1)
+      .then(function() {
+        cancelled.cancel();
+        return Promise.all([cancelled.catch(_.noop), timedOut.catch(_.noop)]);
+      })
+      .finally(function() {
+        on.restore();
+      })
+      .then(function() {
+        var listening = on.getCalls().filter(function(call) {
+          return /^result:/.test(call.args[0]);
+        });
+
+        assert.equal(listening.length, 2);
+        listening.forEach(function(call) {
+          assert.equal(call.thisValue.listenerCount(call.args[0]), 0);
+        });
+      });
+    })
+
+    it('does not send results for cancelled calls', function() {
+      var sent = sinon.spy();
+      server.setSend(function(msg) {
+        if(msg.type === "result") {
+          sent(msg);
+        }
+        client.incoming(msg);
+      });
+
+      var call = client.call("cancellable");
+      call.cancel();
+
+      return call
+      .catch(function() {
+        return Promise.delay(10);
+      })
+      .then(function() {
+        assert.equal(sent.callCount, 0);
+      });
+    })
+
     it('handles methods not being defined explicitly', function() {
       return client.call("notDefined")
       .catch(function(err) {
@@ -155,208 +294,3735 @@ describe('rpc', function() {
 
   })
 
-  describe('actors', function() {
+  describe('reconnection', function() {
 
     beforeEach(function(done) {
-      var self = this;
+      createServerClientPair(this, done, function(start) {
+        server.expose({
+          add: function(a, b) {
+            return a + b;
+          },
+          neverFinish: function() {
+            return new Promise(function() {
+            })
+          },
+        })
 
-      self.remoteId = "incrementer-1";
+        start();
+        done();
+      })
+    })
 
-      self.incrementer = _.defaults(new EventEmitter, {
-        value: 0,
-        name: "I am an ACTOR",
-        increment: function() {
-          return self.incrementer.value += 1; 
-        },
-        add: function(n, m) {
-          return Promise.resolve(n + m); 
-        },
-        reject: function() {
-          return Promise.reject(new Error("rejected")); 
-        },
-        throws: function() {
-          throw new Error("threw");
-        },
+    it('holds calls made before a transport is attached', function() {
+      var pair = rpc({
+        name: "late",
+        error: _.noop,
+        timeout: 75,
+        Promise: Promise,
       });
+      server.setSend(pair.incoming);
 
-      self.register = actors.register();
+      var result = pair.call("add", 1, 2);
 
-      createServerClientPair(self, done, function(start) {
-        
-        // expose actor registry
-        self.register.expose(server);
+      assert.equal(pair.connection.state, "disconnected");
+      pair.setSend(server.incoming);
 
-        // expose an actor
-        server.exposeActor(self.remoteId, self.incrementer);
+      return result.then(function(sum) {
+        assert.equal(sum, 3);
+      });
+    })
 
-        // give client ability to call remote actors
-        actors.mixin(client);
+    it('rejects calls whose send throws, staying connected', function() {
+      client.setSend(function(msg) {
+        if(msg.type === "call" && msg.params[0] === "big") {
+          throw new TypeError("Do not know how to serialize a BigInt");
+        }
+        server.incoming(msg);
+      });
 
-        start();
-        done();
+      return client.call("add", "big", 1)
+      .then(function() {
+        throw new Error("expected failure");
+      }, function(err) {
+        assert.match(err.message, /BigInt/);
+        assert.equal(client.connection.state, "connected");
+        return client.call("add", 1, 2);
       })
+      .then(function(sum) {
+        assert.equal(sum, 3);
+      });
     })
 
-    it('allows calling methods on the remote', function() {
-      return client.callActor(this.remoteId, "increment")
-      .then(function(now) {
-        assert.equal(now, 1); 
+    it('sends callers an error for results that can\'t be sent', function() {
+      server.expose("big", function() {
+        return "big";
+      });
+      server.setSend(function(msg) {
+        if(msg.type === "result" && msg.result === "big") {
+          throw new TypeError("Do not know how to serialize a BigInt");
+        }
+        client.incoming(msg);
+      });
+
+      return client.call("big")
+      .then(function() {
+        throw new Error("expected failure");
+      }, function(err) {
+        assert.match(err.message, /BigInt/);
+        assert.equal(server.connection.state, "connected");
+        return client.call("add", 1, 2);
       })
+      .then(function(sum) {
+        assert.equal(sum, 3);
+      });
     })
 
-    it('handles methods on actors that return promises', function() {
-      return client.getActor(this.remoteId)
-        .call("add", 5, 10)
-        .then(function(result) {
-          assert.equal(result, 15);
-        })
-    })
+    it('doesn\'t queue hellos for the next transport', function() {
+      var pair = rpc({ name: "late", error: _.noop, timeout: 75, Promise: Promise });
+      var hellos = sinon.spy();
 
-    it('can get properties', function() {
-      return client.getActor(this.remoteId)
-        .get("name")
-        .then(function(result) {
-          assert.match(result, /ACTOR/);
-        })
-    })
+      // the server greets us before we've a transport to reply on
+      server.setSend(pair.incoming);
 
-    it('handles promise rejections on actors', function() {
-      return client.getActor(this.remoteId)
-        .call("reject")
-        .catch(function(err) {
-          assert.match(err.message, /rejected/);
-        })
-    })
+      pair.setSend(function(msg) {
+        if(msg.type === "hello") {
+          hellos(msg);
+        }
+        server.incoming(msg);
+      });
 
-    it('handles methods that throw on actors', function() {
-      return client.getActor(this.remoteId)
-        .call("throws")
-        .catch(function(err) {
-          assert.match(err.message, /threw/);
-        })
+      assert.equal(hellos.callCount, 1);
     })
 
-    it('provides a convenient API to refer to an actor', function() {
-      return client.getActor(this.remoteId)
-        .call("increment")
-        .then(function(now) {
-          assert.equal(now, 1); 
-        })
-    })
+    it('reports a new transport\'s send throwing, rather than reconnecting again', function() {
+      var errors = sinon.spy();
+      var reconnects = 0;
+      var pair = rpc({
+        name: "flaky",
+        error: errors,
+        timeout: 75,
+        Promise: Promise,
+        reconnect: function(pair) {
+          reconnects += 1;
+          pair.setSend(function() {
+            throw new Error("socket closed");
+          });
+        },
+      });
+      pair.setSend(_.noop);
 
-    it('provides an error if actor has no such method', function() {
-      return client.getActor(this.remoteId)
-        .call("blah")
-        .catch(function(err) {
-          if(!/NoSuchMethod/.test(err.message)) {
-            return Promise.reject(err);
-          }
-        })
+      pair.disconnect("gone");
+
+      assert.equal(reconnects, 1);
+      assert.equal(pair.connection.state, "connected");
+      assert.isTrue(errors.calledOnce);
+      assert.equal(errors.firstCall.args[0].message, "socket closed");
     })
 
-    it('supports listening to events on emitters', function() {
-      return new Promise(function(resolve) {
-        var incrementer = client.getActor(this.remoteId);
+    it('fails pending calls on disconnection by default', function() {
+      var result = client.call("neverFinish");
 
-        incrementer.on("blah", function(data, b,c,d,e,f) {
-          assert.equal(data.value, 15);
-          assert.deepEqual([b,c,d,e,f], [2,3,4,5,6]);
-          resolve();
-        })
+      client.disconnect("gone");
 
-        this.incrementer.emit("blah", { value: 15 }, 2, 3, 4, 5, 6);
-      }.bind(this));
-    });
+      return result.then(function() {
+        throw new Error("expected failure");
+      }, function(err) {
+        assert.match(err.message, /Disconnected/);
+        assert.equal(err.reason, "gone");
+      });
+    })
 
-    it("emitters's events are scoped - they don't hear plain events", function() {
-      return new Promise(function(resolve, reject) {
-        var incrementer = client.getActor(this.remoteId);
+    it('retries pending calls on reconnection if asked to', function() {
+      var sent = sinon.spy();
+      client.setSend(function(msg) {
+        if(msg.type === "call") {
+          sent(msg);
+        }
+      });
 
-        incrementer.on("emittedPlain", function() {
-          reject(new Error("heard event on actor that was emitted plain")); 
-        });
+      var result = client.call({ retry: true }, "add", 1, 1);
 
-        server.on("emittedPlain", function() {
-          // give a bit of time incase other event emitter fires
-          setTimeout(function() {
-            resolve();    
-          }, 50);
-        });
+      client.disconnect("gone");
+      client.setSend(server.incoming);
 
-        client.emit("emittedPlain");
-      }.bind(this));
-    });
+      return result.then(function(sum) {
+        assert.equal(sum, 2);
+        assert.equal(sent.callCount, 1);
+      });
+    })
 
-    it("emitters's events are scoped - they don't clash with plain events", function() {
-      return new Promise(function(resolve, reject) {
-        var incrementer = client.getActor(this.remoteId);
+    it('does not retry cancelled calls', function() {
+      var sent = sinon.spy();
+      client.setSend(_.noop);
 
-        incrementer.on("emittedActor", function() {
-          // give a bit of time incase other event emitter fires
-          setTimeout(function() {
-            resolve();    
-          }, 50);
-        });
+      var result = client.call({ retry: true }, "add", 1, 1);
+      result.cancel();
 
-        server.on("emittedActor", function() {
-          // give a bit of time incase other event emitter fires
-          reject(new Error("heard event that should have been actor-scoped")); 
-        });
+      client.disconnect("gone");
+      client.setSend(function(msg) {
+        if(msg.type === "call") {
+          sent(msg);
+        }
+        server.incoming(msg);
+      });
 
-        this.incrementer.emit("emittedActor");
-      }.bind(this));
-    });
+      return result.then(function() {
+        throw new Error("expected cancellation");
+      }, function(err) {
+        assert.match(err.message, /CallCancelled/);
+        return Promise.delay(5);
+      })
+      .then(function() {
+        assert.equal(sent.callCount, 0);
+      });
+    })
 
+    it('emits connection events', function() {
+      var disconnect = sinon.spy();
+      var connect = sinon.spy();
+      client.connection.on("disconnect", disconnect);
+      client.connection.on("connect", connect);
 
-    it('provides a error if the Actors has expired', function() {
-      server.expireActor(this.remoteId);
+      client.disconnect("gone");
+      client.setSend(server.incoming);
 
-      return client.callActor(this.remoteId, "increment")
-      .catch(function(err) {
-        if(!/Expired/.test(err.message)) {
-          return Promise.reject(err);
-        }
-      })
+      assert.isTrue(disconnect.calledWith("gone"));
+      assert.equal(connect.callCount, 1);
+      assert.equal(client.connection.state, "connected");
     })
 
-    it('prevents duplicate Actors', function() {
-      assert.throws(function() {
-        server.exposeActor(this.remoteId, this.incrementer)
-      }.bind(this), /duplicate/i)
+    it('does not emit connection events as remote events', function() {
+      var heard = sinon.spy();
+      client.on("disconnect", heard);
+
+      client.disconnect("gone");
+
+      assert.equal(heard.callCount, 0);
     })
-      
-  })
 
-  describe('emit timeouts', function() {
-    it('is possible to provide a different timeout for emit acks', function(done) {
-      client.setSend(function(msg) {
-        setTimeout(server.incoming, 100, msg); 
+    it('rejects writes when the queue is full', function() {
+      var pair = rpc({
+        name: "bounded",
+        error: _.noop,
+        timeout: 75,
+        queueSize: 1,
+        Promise: Promise,
       });
 
-      client.emit({ timeout: 50 }, "hi")
-      .nodeify(expectTimeout(done))
+      pair.call("add", 1, 2).catch(_.noop);
+
+      return pair.call("add", 1, 2)
+      .then(function() {
+        throw new Error("expected failure");
+      }, function(err) {
+        assert.match(err.message, /OutboundQueueFull/);
+      });
     })
 
-    it('simply providing a timeout does not affect the result', function() {
-      return client.emit({ timeout: 125 }, "hi");
-    });
+    it('asks for a new transport on disconnection', function() {
+      var pair = rpc({
+        name: "reconnecting",
+        error: _.noop,
+        timeout: 75,
+        Promise: Promise,
+        reconnect: function(pair) {
+          assert.equal(pair.connection.state, "reconnecting");
+          setTimeout(function() {
+            pair.setSend(server.incoming);
+          }, 5);
+        },
+      });
+      server.setSend(pair.incoming);
+      pair.setSend(_.noop);
 
-  })
+      var result = pair.call({ retry: true }, "add", 2, 2);
+      pair.disconnect("socket closed");
 
+      return result
+      .then(function(sum) {
+        assert.equal(sum, 4);
+      });
+    })
 
+  })
 
+  describe('closing', function() {
 
-  function createServerClientPair(assign, errBack, ready) {
-    server = rpc({
-      name: "server",
-      error: errBack,
-      timeout: 75,
-      Promise: Promise,
-    });
+    beforeEach(function(done) {
+      var self = this;
 
-    client = rpc.client({
-      Promise: Promise,
-      name: "client",
+      createServerClientPair(this, done, function(start) {
+        server.expose({
+          add: function(a, b) {
+            return a + b;
+          },
+          neverFinish: function() {
+            self.token = this.token;
+            return new Promise(function() {
+            })
+          },
+          forever: function() {
+            return {
+              next: function() {
+                return new Promise(function() {
+                });
+              },
+            };
+          },
+        })
+
+        start();
+        done();
+      })
+    })
+
+    it('rejects in-flight calls with PairClosed', function() {
+      var result = client.call("neverFinish");
+
+      client.close("shutting down");
+
+      assert.equal(client.connection.state, "closed");
+
+      return result.then(function() {
+        throw new Error("expected rejection");
+      }, function(err) {
+        assert.equal(err.message, "PairClosed");
+        assert.equal(err.reason, "shutting down");
+      });
+    })
+
+    it('refuses calls once closed', function() {
+      client.close();
+
+      return client.call("add", 1, 2)
+      .then(function() {
+        throw new Error("expected rejection");
+      }, function(err) {
+        assert.equal(err.message, "PairClosed");
+      });
+    })
+
+    it('cancels methods it was running for the remote', function() {
+      var self = this;
+
+      client.call("neverFinish").catch(_.noop);
+
+      return Promise.delay(5)
+      .then(function() {
+        server.close();
+
+        assert.isTrue(self.token.cancelled);
+        assert.equal(self.token.reason.message, "PairClosed");
+      });
+    })
+
+    it('ends streams with PairClosed', function() {
+      var iterator = client.stream("forever");
+      var next = iterator.next();
+
+      client.close();
+
+      return next.then(function() {
+        throw new Error("expected rejection");
+      }, function(err) {
+        assert.equal(err.message, "PairClosed");
+      });
+    })
+
+    it('ignores incoming messages once closed', function() {
+      var heard = sinon.spy();
+      client.on("news", heard);
+      client.close();
+
+      client.on("news", heard);
+      server.emit("news").catch(_.noop);
+
+      return Promise.delay(5)
+      .then(function() {
+        assert.isFalse(heard.called);
+      });
+    })
+
+    it('emits close, and not disconnect', function() {
+      var closed = sinon.spy();
+      var disconnected = sinon.spy();
+      client.connection.on("close", closed);
+      client.connection.on("disconnect", disconnected);
+
+      client.close("done");
+      client.close("again");
+
+      assert.isTrue(closed.calledOnce);
+      assert.equal(closed.firstCall.args[0], "done");
+      assert.isFalse(disconnected.called);
+    })
+
+    it('detaches stream transports', function() {
+      var streamTransport = require("./transports/streamTransport");
+      var stream = new PassThrough;
+      var pair = rpc({ name: "streamed", error: _.noop, Promise: Promise });
+
+      streamTransport.start(pair, stream);
+      pair.close();
+
+      assert.equal(stream.listenerCount("data"), 0);
+      assert.equal(stream.listenerCount("end"), 0);
+    })
+
+    it('releases actor registries', function() {
+      var actor = new EventEmitter;
+      actors.register().expose(server);
+      server.exposeActor("thing", actor);
+
+      server.close();
+
+      var emit = sinon.spy(server, "emit");
+      actor.emit("changed");
+
+      assert.isFalse(emit.called);
+    })
+
+  })
+
+  describe('WebSocket transport', function() {
+
+    var webSocketTransport = require("./transports/webSocketTransport");
+
+    beforeEach(function() {
+      server = rpc({ name: "server", error: _.noop, Promise: Promise });
+      client = rpc.client({ name: "client", error: _.noop, Promise: Promise });
+      server.expose("add", function(a, b) {
+        return a + b;
+      });
+    })
+
+    it('calls over sockets', function() {
+      var sockets = connectedSockets();
+      webSocketTransport.start(server, sockets[0]);
+      webSocketTransport.start(client, sockets[1]);
+
+      return client.call("add", 1, 2)
+      .then(function(result) {
+        assert.equal(result, 3);
+      });
+    })
+
+    it('attaches to connecting sockets once they open', function() {
+      var sockets = connectedSockets();
+      sockets[1].readyState = 0;
+      webSocketTransport.start(server, sockets[0]);
+      webSocketTransport.start(client, sockets[1]);
+
+      var result = client.call("add", 1, 2);
+      assert.equal(client.connection.state, "disconnected");
+
+      sockets[1].open();
+      return result.then(function(result) {
+        assert.equal(result, 3);
+      });
+    })
+
+    it('disconnects the pair when the socket closes', function() {
+      var sockets = connectedSockets();
+      webSocketTransport.start(client, sockets[1]);
+      var disconnected = sinon.spy();
+      client.connection.on("disconnect", disconnected);
+
+      sockets[0].close(1001, "going away");
+
+      return Promise.delay(5).then(function() {
+        assert.isTrue(disconnected.calledWith("socket closed"));
+        assert.equal(sockets[1].listenerCount("message"), 0);
+      });
+    })
+
+    it('closes the socket when the pair closes', function() {
+      var sockets = connectedSockets();
+      webSocketTransport.start(client, sockets[1]);
+
+      client.close();
+
+      assert.equal(sockets[1].readyState, 3);
+      assert.equal(sockets[1].closeCode, 1000);
+    })
+
+    it('disconnects from sockets sending what isn\'t JSON', function() {
+      var sockets = connectedSockets();
+      webSocketTransport.start(client, sockets[1]);
+      var disconnected = sinon.spy();
+      client.connection.on("disconnect", disconnected);
+
+      sockets[0].send("{ nope");
+
+      return Promise.delay(5).then(function() {
+        assert.equal(disconnected.firstCall.args[0].message, "RpcWebSocketTransportJsonParseError");
+        assert.equal(sockets[1].closeCode, 1007);
+      });
+    })
+
+    it('serves a pair per connection', function() {
+      var socketServer = new EventEmitter;
+      var pairs = [];
+      var stop = webSocketTransport.serve(socketServer, function() {
+        var pair = rpc({ name: "server", error: _.noop, Promise: Promise });
+        pair.expose("whoami", function() {
+          return pairs.indexOf(pair);
+        });
+        pairs.push(pair);
+        return pair;
+      });
+
+      var first = connectedSockets();
+      var second = connectedSockets();
+      var other = rpc.client({ name: "other", error: _.noop, Promise: Promise });
+      socketServer.emit("connection", first[0]);
+      socketServer.emit("connection", second[0]);
+      webSocketTransport.start(client, first[1]);
+      webSocketTransport.start(other, second[1]);
+
+      return Promise.all([client.call("whoami"), other.call("whoami")])
+      .then(function(results) {
+        assert.deepEqual(results, [0, 1]);
+
+        first[1].close();
+        return Promise.delay(5);
+      })
+      .then(function() {
+        assert.equal(pairs[0].connection.state, "closed");
+        assert.equal(pairs[1].connection.state, "connected");
+
+        stop("shutting down");
+        assert.equal(pairs[1].connection.state, "closed");
+        assert.equal(socketServer.listenerCount("connection"), 0);
+      });
+    })
+
+    it('disconnects the pair when started on a closed socket', function() {
+      client.setSend(server.incoming);
+      server.setSend(client.incoming);
+      var socket = fakeSocket();
+      socket.readyState = 3;
+
+      webSocketTransport.start(client, socket);
+
+      assert.equal(client.connection.state, "disconnected");
+      assert.equal(socket.listenerCount("message"), 0);
+    })
+
+    describeIf(ws, 'with ws', function() {
+
+      this.timeout(2000);
+
+      var socketServer;
+      var stop;
+
+      beforeEach(function(done) {
+        socketServer = new ws.WebSocketServer({ port: 0, host: "127.0.0.1" }, done);
+        stop = webSocketTransport.serve(socketServer, function() {
+          return server;
+        });
+      })
+
+      afterEach(function(done) {
+        stop();
+        client.close();
+        socketServer.close(function() {
+          done();
+        });
+      })
+
+      it('serves calls over real sockets', function() {
+        webSocketTransport.start(client, new ws.WebSocket(address()));
+
+        return client.call("add", 1, 2)
+        .then(function(result) {
+          assert.equal(result, 3);
+        });
+      })
+
+      it('closes the served pair when the socket closes', function(done) {
+        var socket = new ws.WebSocket(address());
+        webSocketTransport.start(client, socket);
+
+        client.call("add", 1, 2)
+        .then(function() {
+          server.connection.once("close", function(reason) {
+            assert.equal(reason, "socket closed");
+            done();
+          });
+          socket.close();
+        })
+        .catch(done);
+      })
+
+      it('disconnects the pair when started on a closed socket', function(done) {
+        var socket = new ws.WebSocket(address());
+        webSocketTransport.start(client, socket);
+
+        client.call("add", 1, 2)
+        .then(function() {
+          socket.once("close", function() {
+            var disconnected = sinon.spy();
+            client.connection.on("disconnect", disconnected);
+            client.setSend(server.incoming);
+
+            webSocketTransport.start(client, socket);
+
+            assert.isTrue(disconnected.calledWith("socket closed"));
+            assert.equal(client.connection.state, "disconnected");
+            done();
+          });
+          socket.close();
+        })
+        .catch(done);
+      })
+
+      it('answers frames that aren\'t messages with an error', function(done) {
+        var socket = new ws.WebSocket(address());
+        socket.on("open", function() {
+          socket.send("null");
+        });
+        socket.on("message", function(data) {
+          var message = JSON.parse(String(data));
+          if(message.type !== "result") {
+            return;
+          }
+
+          assert.equal(message.error.message, "InvalidMessage");
+          assert.equal(server.connection.state, "connected");
+          socket.close();
+          done();
+        });
+      })
+
+      function address() {
+        return "ws://127.0.0.1:" + socketServer.address().port;
+      }
+
+    })
+
+    // two ends of a WebSocket connection, with the interface of the browser's WebSocket
+    function connectedSockets() {
+      var ends = [fakeSocket(), fakeSocket()];
+      ends[0].peer = ends[1];
+      ends[1].peer = ends[0];
+      return ends;
+    }
+
+    function fakeSocket() {
+      var socket = new EventEmitter;
+      socket.readyState = 1;
+      socket.addEventListener = socket.on;
+      socket.removeEventListener = socket.removeListener;
+      socket.open = function() {
+        socket.readyState = 1;
+        socket.emit("open", {});
+      };
+      socket.send = function(data) {
+        setImmediate(function() {
+          socket.peer.emit("message", { data: data });
+        });
+      };
+      socket.close = function(code, reason) {
+        if(socket.readyState === 3) {
+          return;
+        }
+        socket.readyState = 3;
+        socket.closeCode = code;
+        socket.emit("close", { code: code, reason: reason });
+        setImmediate(function() {
+          socket.peer.close(code, reason);
+        });
+      };
+      return socket;
+    }
+
+  })
+
+  describeIf(workerThreads, 'worker_threads transport', function() {
+
+    var workerTransport = require("./transports/workerTransport");
+
+    beforeEach(function() {
+      server = rpc({ name: "server", error: _.noop, Promise: Promise });
+      client = rpc.client({ name: "client", error: _.noop, Promise: Promise });
+      server.expose("length", function(buffer) {
+        return buffer.byteLength;
+      });
+      server.expose("tomorrow", function(date) {
+        return new Date(date.getTime() + 86400000);
+      });
+    })
+
+    it('sends structured clones', function() {
+      var channel = new workerThreads.MessageChannel;
+      workerTransport.start(server, channel.port1);
+      workerTransport.start(client, channel.port2);
+
+      return client.call("tomorrow", new Date(0))
+      .then(function(result) {
+        assert.instanceOf(result, Date);
+        assert.equal(result.getTime(), 86400000);
+        channel.port1.close();
+      });
+    })
+
+    it('transfers ArrayBuffers when asked', function() {
+      var channel = new workerThreads.MessageChannel;
+      workerTransport.start(server, channel.port1);
+      workerTransport.start(client, channel.port2, { transfer: true });
+
+      var buffer = new ArrayBuffer(8);
+      return client.call("length", buffer)
+      .then(function(result) {
+        assert.equal(result, 8);
+        assert.equal(buffer.byteLength, 0);
+        channel.port1.close();
+      });
+    })
+
+    it('transfers ArrayBuffers in objects that have a length', function() {
+      var channel = new workerThreads.MessageChannel;
+      workerTransport.start(server, channel.port1);
+      workerTransport.start(client, channel.port2, { transfer: true });
+
+      var buffer = new ArrayBuffer(8);
+      return client.call("length", { length: 1, byteLength: 8, buffer: buffer })
+      .then(function(result) {
+        assert.equal(result, 8);
+        assert.equal(buffer.byteLength, 0);
+        channel.port1.close();
+      });
+    })
+
+    it('closes the pair when the other end of the port closes', function() {
+      var channel = new workerThreads.MessageChannel;
+      workerTransport.start(client, channel.port2);
+      var closed = new Promise(function(resolve) {
+        client.connection.on("close", resolve);
+      });
+
+      channel.port1.close();
+
+      return closed.then(function(reason) {
+        assert.equal(reason, "port closed");
+      });
+    })
+
+    it('closes the pair when the worker exits', function() {
+      this.timeout(5000);
+
+      var worker = new workerThreads.Worker("process.exit(3)", { eval: true });
+      workerTransport.start(client, worker);
+
+      return new Promise(function(resolve) {
+        client.connection.on("close", resolve);
+      })
+      .then(function(reason) {
+        assert.equal(reason.message, "WorkerExited");
+        assert.equal(reason.code, 3);
+      });
+    })
+
+  })
+
+  describe('postMessage transport', function() {
+
+    // node's ports have the browser's EventTarget API from node 15
+    var hasPorts = workerThreads && typeof workerThreads.MessagePort.prototype.addEventListener === "function";
+    var hasBroadcastChannels = workerThreads && typeof workerThreads.BroadcastChannel === "function";
+
+    var postMessageTransport = require("./transports/postMessageTransport");
+
+    beforeEach(function() {
+      server = rpc({ name: "server", error: _.noop, Promise: Promise });
+      client = rpc.client({ name: "client", error: _.noop, Promise: Promise });
+      server.expose("add", function(a, b) {
+        return a + b;
+      });
+    })
+
+    itIf(hasPorts, 'calls over MessagePorts', function() {
+      var channel = new workerThreads.MessageChannel;
+      postMessageTransport.start(server, channel.port1);
+      postMessageTransport.start(client, channel.port2);
+
+      return client.call("add", 1, 2)
+      .then(function(result) {
+        assert.equal(result, 3);
+        channel.port1.close();
+      });
+    })
+
+    itIf(hasBroadcastChannels, 'shares BroadcastChannels by topic', function() {
+      var channels = _.times(3, function() {
+        return new workerThreads.BroadcastChannel("rpcjs-test");
+      });
+      var other = sinon.spy();
+      channels[2].addEventListener("message", other);
+
+      postMessageTransport.start(server, channels[0], { topic: "calculator" });
+      postMessageTransport.start(client, channels[1], { topic: "calculator" });
+
+      channels[2].postMessage({ topic: "chat", message: "hi" });
+
+      return client.call("add", 1, 2)
+      .then(function(result) {
+        assert.equal(result, 3);
+        assert.isTrue(other.called);
+        assert.equal(other.lastCall.args[0].data.topic, "calculator");
+        channels.forEach(function(channel) {
+          channel.close();
+        });
+      });
+    })
+
+    it('requires an origin for windows', function() {
+      assert.throws(function() {
+        postMessageTransport.start(client, fakeWindows()[1]);
+      }, /RpcPostMessageTransportOriginRequired/);
+    })
+
+    it('calls between windows', function() {
+      var windows = fakeWindows();
+      var page = windows[0];
+      var frame = windows[1];
+      postMessageTransport.start(server, page, { origin: page.origin, receiver: frame });
+      postMessageTransport.start(client, frame, { origin: frame.origin, receiver: page });
+
+      return client.call("add", 1, 2)
+      .then(function(result) {
+        assert.equal(result, 3);
+      });
+    })
+
+    it('only hears its topic, from the target window and origin', function() {
+      var windows = fakeWindows();
+      var page = windows[0];
+      var frame = windows[1];
+      var incoming = sinon.spy(server, "incoming");
+      postMessageTransport.start(server, page, { origin: page.origin, receiver: frame });
+
+      var message = { topic: postMessageTransport.TOPIC, message: { type: "heartbeat" } };
+      frame.emit("message", { data: message, origin: "https://evil.example.com", source: page });
+      frame.emit("message", { data: message, origin: page.origin, source: fakeWindows()[0] });
+      frame.emit("message", { data: { topic: "other", message: message.message }, origin: page.origin, source: page });
+      assert.isFalse(incoming.called);
+
+      frame.emit("message", { data: message, origin: page.origin, source: page });
+      assert.isTrue(incoming.calledWith(message.message));
+    })
+
+    // a page and the frame it embeds, each posting messages to the other
+    function fakeWindows() {
+      var page = fakeWindow("https://app.example.com");
+      var frame = fakeWindow("https://widgets.example.com");
+      page.postMessage = postMessageFrom(frame, page);
+      frame.postMessage = postMessageFrom(page, frame);
+      return [page, frame];
+    }
+
+    function fakeWindow(origin) {
+      var win = new EventEmitter;
+      win.window = win;
+      win.origin = origin;
+      win.addEventListener = win.on;
+      win.removeEventListener = win.removeListener;
+      return win;
+    }
+
+    // as browsers do, drops messages for other origins
+    function postMessageFrom(source, win) {
+      return function(data, targetOrigin) {
+        if(targetOrigin !== "*" && targetOrigin !== win.origin) {
+          return;
+        }
+        setImmediate(function() {
+          win.emit("message", { data: data, origin: source.origin, source: source });
+        });
+      };
+    }
+
+  })
+
+  describe('child_process transport', function() {
+
+    var childProcess = require("child_process");
+    var path = require("path");
+    var childProcessTransport = require("./transports/childProcessTransport");
+
+    var CHILD = [
+      'var rpc = require(' + JSON.stringify(path.join(__dirname, "rpcjs")) + ');',
+      'var transport = require(' + JSON.stringify(path.join(__dirname, "transports/childProcessTransport")) + ');',
+      'var pair = rpc({ name: "child", error: function() {}, Promise: Promise });',
+      'pair.expose("double", function(n) { return n * 2; });',
+      'pair.expose("tomorrow", function(date) { return new Date(date.getTime() + 86400000); });',
+      'pair.expose("exit", function(code) { setTimeout(function() { process.exit(code); }, 10); });',
+      'transport.start(pair, process);',
+    ].join("\n");
+
+    // node 12.16 added structured clones over IPC
+    var version = process.versions.node.split(".").map(Number);
+    var hasAdvancedSerialization = version[0] > 12 || (version[0] === 12 && version[1] >= 16);
+
+    function startChild(serialization) {
+      var child = childProcess.spawn(process.execPath, ["-e", CHILD], {
+        stdio: ["ignore", "ignore", "inherit", "ipc"],
+        serialization: serialization,
+      });
+      client = rpc.client({ name: "client", error: _.noop, Promise: Promise, timeout: 4000 });
+      childProcessTransport.start(client, child);
+    }
+
+    it('calls a child over its IPC channel, then closes when it exits', function() {
+      this.timeout(5000);
+      startChild("json");
+
+      var closed = new Promise(function(resolve) {
+        client.connection.on("close", resolve);
+      });
+
+      return client.call("double", 21)
+      .then(function(result) {
+        assert.equal(result, 42);
+
+        return client.call("exit", 3);
+      })
+      .then(function() {
+        return closed;
+      })
+      .then(function(reason) {
+        assert.equal(reason.message, "ChildExited");
+        assert.equal(reason.code, 3);
+      });
+    })
+
+    itIf(hasAdvancedSerialization, 'sends structured clones', function() {
+      this.timeout(5000);
+      startChild("advanced");
+
+      return client.call("tomorrow", new Date(0))
+      .then(function(result) {
+        assert.instanceOf(result, Date);
+        assert.equal(result.getTime(), 86400000);
+
+        return client.call("exit", 0);
+      });
+    })
+
+    it('refuses channels that have gone', function() {
+      var channel = new EventEmitter;
+      channel.connected = false;
+
+      assert.throws(function() {
+        childProcessTransport.start(rpc.client({ name: "client", error: _.noop, Promise: Promise }), channel);
+      }, /RpcChildProcessTransportNotConnected/);
+    })
+
+  })
+
+  describe('handshake', function() {
+
+    beforeEach(function(done) {
+      createServerClientPair(this, done, function(start) {
+        server.expose({
+          add: function(a, b) {
+            return a + b;
+          },
+        })
+
+        start();
+        done();
+      })
+    })
+
+    it('tells each side about the other', function() {
+      assert.equal(client.remote.name, "server");
+      assert.equal(client.remote.version, rpc.PROTOCOL_VERSION);
+      assert.include(client.remote.features, "stream");
+      assert.equal(server.remote.name, "client");
+    })
+
+    it('keeps the remote up to date with exposed methods', function() {
+      assert.deepEqual(client.remote.methods, ["add"]);
+
+      server.expose("subtract", function(a, b) {
+        return a - b;
+      });
+
+      assert.deepEqual(client.remote.methods, ["add", "subtract"]);
+    })
+
+    it('fails fast calling methods the remote does not have', function() {
+      var sent = sinon.spy();
+      client.setSend(function(msg) {
+        if(msg.type === "call") {
+          sent(msg);
+        }
+        server.incoming(msg);
+      });
+
+      return client.call("notDefined")
+      .then(function() {
+        throw new Error("expected failure");
+      }, function(err) {
+        assert.match(err.message, /NoSuchMethod/);
+        assert.equal(sent.callCount, 0);
+      });
+    })
+
+    it('reports mismatched protocol versions', function() {
+      var errors = [];
+      var pair = rpc({
+        name: "old",
+        error: function(err) {
+          errors.push(err);
+        },
+        Promise: Promise,
+      });
+
+      pair.incoming({ id: "future:1", type: "hello", reply: true, name: "future", version: 99 });
+
+      assert.equal(errors.length, 1);
+      assert.match(errors[0].message, /ProtocolVersionMismatch/);
+      assert.equal(errors[0].remoteVersion, 99);
+    })
+
+    it('forgets the remote on disconnection', function() {
+      client.disconnect("gone");
+      assert.isNull(client.remote);
+    })
+
+  })
+
+  describe('JSON-RPC protocol', function() {
+    var sent;
+    var serverEventSpy;
+
+    beforeEach(function(done) {
+      sent = [];
+      serverEventSpy = sinon.spy();
+
+      server = rpc({
+        name: "server",
+        error: done,
+        timeout: 75,
+        protocol: jsonRpcProtocol,
+        Promise: Promise,
+      });
+
+      client = rpc({
+        name: "client",
+        error: done,
+        timeout: 75,
+        protocol: jsonRpcProtocol,
+        Promise: Promise,
+      });
+
+      server.expose({
+        add: function(a, b) {
+          return a + b;
+        },
+        named: function(params) {
+          return params.a - params.b;
+        },
+        reject: function() {
+          return Promise.reject(new Error("rejected"));
+        },
+      });
+      server.on("changed", serverEventSpy);
+
+      server.setSend(function(msg) {
+        sent.push(msg);
+        client.incoming(msg);
+      });
+      client.setSend(server.incoming);
+
+      sent = [];
+      done();
+    })
+
+    it('calls remote methods', function() {
+      return client.call("add", 1, 2)
+      .then(function(result) {
+        assert.equal(result, 3);
+      });
+    })
+
+    it('handles rejections', function() {
+      return client.call("reject")
+      .then(function() {
+        throw new Error("expected rejection");
+      }, function(err) {
+        assert.match(err.message, /rejected/);
+        assert.equal(err.code, jsonRpcProtocol.CODES.ServerError);
+      });
+    })
+
+    it('sends emits as notifications', function() {
+      var notifications = [];
+      client.setSend(function(msg) {
+        if(!/^rpcjs\./.test(msg.method)) {
+          notifications.push(msg);
+        }
+        server.incoming(msg);
+      });
+
+      return client.emit("changed", 1)
+      .then(function() {
+        assert.deepEqual(notifications, [{ jsonrpc: "2.0", method: "changed", params: [1] }]);
+        assert.isTrue(serverEventSpy.calledWith(1));
+      });
+    })
+
+    it('answers requests from other implementations', function() {
+      server.incoming({ jsonrpc: "2.0", id: 1, method: "add", params: [1, 2] });
+
+      return Promise.delay(5)
+      .then(function() {
+        assert.deepEqual(sent, [{ jsonrpc: "2.0", id: 1, result: 3 }]);
+      });
+    })
+
+    it('passes by-name params as a single argument', function() {
+      server.incoming({ jsonrpc: "2.0", id: 1, method: "named", params: { a: 5, b: 3 } });
+
+      return Promise.delay(5)
+      .then(function() {
+        assert.deepEqual(sent, [{ jsonrpc: "2.0", id: 1, result: 2 }]);
+      });
+    })
+
+    it('uses standard error codes', function() {
+      server.incoming({ jsonrpc: "2.0", id: 1, method: "notDefined" });
+
+      return Promise.delay(5)
+      .then(function() {
+        assert.equal(sent[0].id, 1);
+        assert.equal(sent[0].error.code, -32601);
+        assert.match(sent[0].error.message, /NoSuchMethod/);
+      });
+    })
+
+    it('responds to batch requests with a batch', function() {
+      server.incoming([
+        { jsonrpc: "2.0", id: 1, method: "add", params: [1, 2] },
+        { jsonrpc: "2.0", method: "changed", params: ["batched"] },
+        { jsonrpc: "2.0", id: 2, method: "add", params: [3, 4] },
+      ]);
+
+      return Promise.delay(5)
+      .then(function() {
+        assert.equal(sent.length, 1);
+        assert.sameDeepMembers(sent[0], [
+          { jsonrpc: "2.0", id: 1, result: 3 },
+          { jsonrpc: "2.0", id: 2, result: 7 },
+        ]);
+        assert.isTrue(serverEventSpy.calledWith("batched"));
+      });
+    })
+
+    it('rejects invalid requests', function() {
+      server.incoming({ id: 1, method: "add" });
+
+      return Promise.delay(5)
+      .then(function() {
+        assert.equal(sent[0].error.code, -32600);
+        assert.equal(sent[0].id, 1);
+      });
+    })
+
+    it('understands errors from other implementations', function() {
+      client.setSend(function(msg) {
+        if(msg.method === "add") {
+          client.incoming({ jsonrpc: "2.0", id: msg.id, error: { code: -32000, message: "boom", data: "detail" } });
+        }
+      });
+
+      var result = client.call("add", 1, 2);
+
+      return result
+      .then(function() {
+        throw new Error("expected rejection");
+      }, function(err) {
+        assert.equal(err.message, "boom");
+        assert.equal(err.code, -32000);
+        assert.equal(err.data, "detail");
+      });
+    })
+
+  })
+
+  describe('serialization', function() {
+    var received;
+
+    function Point(x, y) {
+      this.x = x;
+      this.y = y;
+    }
+
+    beforeEach(function(done) {
+      received = sinon.spy();
+
+      server = rpc({
+        name: "server",
+        error: done,
+        timeout: 75,
+        serializer: createSerializer(),
+        Promise: Promise,
+      });
+
+      client = rpc({
+        name: "client",
+        error: done,
+        timeout: 75,
+        serializer: createSerializer(),
+        Promise: Promise,
+      });
+
+      server.expose({
+        echo: function(value) {
+          return value;
+        },
+        nothing: function() {
+        },
+        zero: function() {
+          return 0;
+        },
+      });
+      server.on("received", received);
+
+      // send over JSON, as a real transport would
+      server.setSend(function(msg) {
+        client.incoming(JSON.parse(JSON.stringify(msg)));
+      });
+      client.setSend(function(msg) {
+        server.incoming(JSON.parse(JSON.stringify(msg)));
+      });
+
+      done();
+    })
+
+    it('round-trips built-in types', function() {
+      var value = {
+        date: new Date(1000),
+        map: new Map([["a", 1]]),
+        set: new Set([1, 2]),
+        big: BigInt("9007199254740993"),
+        buffer: Buffer.from("hi"),
+        missing: undefined,
+        infinite: Infinity,
+        nested: [new Date(2000)],
+      };
+
+      return client.call("echo", value)
+      .then(function(result) {
+        assert.instanceOf(result.date, Date);
+        assert.equal(result.date.getTime(), 1000);
+        assert.equal(result.map.get("a"), 1);
+        assert.isTrue(result.set.has(2));
+        assert.equal(typeof result.big, "bigint");
+        assert.equal(String(result.big), "9007199254740993");
+        assert.equal(result.buffer.toString(), "hi");
+        assert.property(result, "missing");
+        assert.isUndefined(result.missing);
+        assert.equal(result.infinite, Infinity);
+        assert.instanceOf(result.nested[0], Date);
+      });
+    })
+
+    it('round-trips registered types', function() {
+      return client.call("echo", new Point(1, 2))
+      .then(function(result) {
+        assert.instanceOf(result, Point);
+        assert.equal(result.y, 2);
+      });
+    })
+
+    it('serializes event data', function() {
+      return client.emit("received", new Date(5))
+      .then(function() {
+        assert.instanceOf(received.firstCall.args[0], Date);
+      });
+    })
+
+    it('keeps plain objects that look like tagged values', function() {
+      var value = { $rpcjs: "Date", value: 5 };
+
+      return client.call("echo", value)
+      .then(function(result) {
+        assert.deepEqual(result, value);
+      });
+    })
+
+    it('keeps undefined and falsy results', function() {
+      return Promise.all([client.call("nothing"), client.call("zero")])
+      .then(function(results) {
+        assert.isUndefined(results[0]);
+        assert.strictEqual(results[1], 0);
+      });
+    })
+
+    it('rejects calls with types the remote does not know', function() {
+      var unknown = {};
+      unknown[serializer.TAG] = "Unknown";
+      unknown.value = 1;
+
+      client.setSend(function(msg) {
+        if(msg.type === "call") {
+          msg.params = [unknown];
+        }
+        server.incoming(JSON.parse(JSON.stringify(msg)));
+      });
+
+      return client.call("echo", 1)
+      .then(function() {
+        throw new Error("expected rejection");
+      }, function(err) {
+        assert.match(err.message, /UnknownSerializedType/);
+      });
+    })
+
+    function createSerializer() {
+      return serializer.create()
+      .register("Point", {
+        type: Point,
+        serialize: function(point) {
+          return [point.x, point.y];
+        },
+        deserialize: function(xy) {
+          return new Point(xy[0], xy[1]);
+        },
+      });
+    }
+  })
+
+  describe('errors', function() {
+
+    function ValidationError(message, field) {
+      this.message = message;
+      this.field = field;
+      this.stack = new Error(message).stack;
+    }
+    util.inherits(ValidationError, Error);
+    ValidationError.prototype.name = "ValidationError";
+
+    function EmailError(message) {
+      ValidationError.call(this, message, "email");
+    }
+    util.inherits(EmailError, ValidationError);
+    EmailError.prototype.name = "EmailError";
+
+    class NotFoundError extends Error {}
+    class ConflictError extends Error {}
+
+    function setup(registry) {
+      server = rpc({
+        name: "server",
+        error: _.noop,
+        timeout: 75,
+        errors: registry,
+        Promise: Promise,
+      });
+
+      client = rpc({
+        name: "client",
+        error: _.noop,
+        timeout: 75,
+        errors: registry,
+        Promise: Promise,
+      });
+
+      server.expose({
+        validate: function() {
+          throw new ValidationError("bad", "name");
+        },
+        email: function() {
+          throw new EmailError("bad email");
+        },
+        wrapped: function() {
+          var error = new Error("outer");
+          error.cause = new ValidationError("inner", "name");
+          throw error;
+        },
+        internal: function() {
+          var error = new Error("failed");
+          error.connectionString = "secret";
+          error.code = "EFAIL";
+          throw error;
+        },
+        notFound: function() {
+          throw new NotFoundError("missing");
+        },
+        plain: function() {
+          throw new Error("plain");
+        },
+        misnamed: function() {
+          var error = new Error("misnamed");
+          error.name = "toString";
+          throw error;
+        },
+        cyclic: function() {
+          var outer = new Error("outer");
+          var inner = new Error("inner");
+          outer.cause = inner;
+          inner.cause = outer;
+          throw outer;
+        },
+      });
+
+      server.setSend(function(msg) {
+        client.incoming(JSON.parse(JSON.stringify(msg)));
+      });
+      client.setSend(function(msg) {
+        server.incoming(JSON.parse(JSON.stringify(msg)));
+      });
+    }
+
+    function expectRejection(promise) {
+      return promise.then(function() {
+        throw new Error("expected rejection");
+      }, _.identity);
+    }
+
+    it('rebuilds registered error classes', function() {
+      setup(errors.create().register(ValidationError));
+
+      return expectRejection(client.call("validate"))
+      .then(function(err) {
+        assert.instanceOf(err, ValidationError);
+        assert.equal(err.message, "bad");
+        assert.equal(err.field, "name");
+        assert.isTrue(err.remote);
+      });
+    })
+
+    it('uses the most specific registered class', function() {
+      setup(errors.create().register(EmailError).register(ValidationError));
+
+      return expectRejection(client.call("email"))
+      .then(function(err) {
+        assert.instanceOf(err, EmailError);
+        assert.instanceOf(err, ValidationError);
+      });
+    })
+
+    it('rebuilds cause chains', function() {
+      setup(errors.create().register(ValidationError));
+
+      return expectRejection(client.call("wrapped"))
+      .then(function(err) {
+        assert.equal(err.message, "outer");
+        assert.instanceOf(err.cause, ValidationError);
+        assert.equal(err.cause.message, "inner");
+      });
+    })
+
+    it('names classes that leave their name to Error by their constructor', function() {
+      setup(errors.create().register(NotFoundError).register(ConflictError));
+
+      return Promise.all([
+        expectRejection(client.call("notFound")),
+        expectRejection(client.call("plain")),
+      ])
+      .then(function(errs) {
+        assert.instanceOf(errs[0], NotFoundError);
+        assert.equal(errs[0].name, "NotFoundError");
+        assert.notInstanceOf(errs[1], NotFoundError);
+      });
+    })
+
+    it('only rebuilds registered names', function() {
+      setup(errors.create());
+
+      return expectRejection(client.call("misnamed"))
+      .then(function(err) {
+        assert.instanceOf(err, Error);
+        assert.equal(err.message, "misnamed");
+      });
+    })
+
+    it('cuts off cause chains that loop', function() {
+      setup(errors.create());
+
+      return expectRejection(client.call("cyclic"))
+      .then(function(err) {
+        assert.equal(err.message, "outer");
+        assert.equal(err.cause.message, "inner");
+        assert.isUndefined(err.cause.cause);
+      });
+    })
+
+    it('combines remote and local stacks', function() {
+      setup(errors.create());
+
+      return expectRejection(client.call("validate"))
+      .then(function(err) {
+        var parts = err.stack.split("--- remote call ---");
+        assert.equal(parts.length, 2);
+        assert.match(parts[0], /ValidationError|bad/);
+        assert.match(parts[1], /rpcjs\.test\.js/);
+      });
+    })
+
+    it('can strip stacks and internal fields', function() {
+      setup(errors.create({ stacks: false, fields: ["code"] }));
+
+      return expectRejection(client.call("internal"))
+      .then(function(err) {
+        assert.equal(err.message, "failed");
+        assert.equal(err.code, "EFAIL");
+        assert.notProperty(err, "connectionString");
+        assert.equal(err.stack.split("--- remote call ---")[0].trim(), "Error: failed");
+      });
+    })
+
+  })
+
+  describe('validation', function() {
+    var addSpy;
+
+    beforeEach(function(done) {
+      createServerClientPair(this, done, function(start) {
+        addSpy = sinon.spy(function(a, b) {
+          return a + b;
+        });
+
+        server.expose({
+          add: {
+            params: [{ type: "number" }, { type: "number", minimum: 0 }],
+            result: { type: "number" },
+            fn: addSpy,
+          },
+          createUser: {
+            params: {
+              type: "array",
+              items: [{
+                type: "object",
+                required: ["name"],
+                properties: {
+                  name: { type: "string", minLength: 1 },
+                  role: { enum: ["admin", "user"] },
+                },
+                additionalProperties: false,
+              }],
+            },
+            fn: function(user) {
+              return user.name;
+            },
+          },
+          broken: {
+            result: { type: "string" },
+            fn: function() {
+              return 42;
+            },
+          },
+        })
+
+        start();
+        done();
+      });
+    })
+
+    function expectInvalid(promise, name) {
+      return promise.then(function() {
+        throw new Error("expected rejection");
+      }, function(err) {
+        assert.match(err.message, name);
+        return err;
+      });
+    }
+
+    it('calls methods with valid params', function() {
+      return client.call("add", 1, 2)
+      .then(function(result) {
+        assert.equal(result, 3);
+      });
+    })
+
+    it('rejects invalid params before calling the method', function() {
+      return expectInvalid(client.call("add", "1", -1), /InvalidParams/)
+      .then(function(err) {
+        assert.equal(addSpy.callCount, 0);
+        assert.equal(err.method, "add");
+        assert.deepEqual(_.map(err.errors, "path"), ["/0", "/1"]);
+      });
+    })
+
+    it('validates nested objects', function() {
+      return expectInvalid(client.call("createUser", { role: "owner", extra: true }), /InvalidParams/)
+      .then(function(err) {
+        assert.sameMembers(_.map(err.errors, "path"), ["/0/name", "/0/role", "/0/extra"]);
+      });
+    })
+
+    it('refuses additional properties of objects with a length', function() {
+      return expectInvalid(client.call("createUser", { name: "a", evil: 1, length: 0 }), /InvalidParams/)
+      .then(function(err) {
+        assert.sameMembers(_.map(err.errors, "path"), ["/0/evil", "/0/length"]);
+      });
+    })
+
+    it('validates results', function() {
+      return expectInvalid(client.call("broken"), /InvalidResult/);
+    })
+
+    it('can use another validator', function() {
+      var validate = sinon.spy(function() {
+        return [{ path: "/", message: "nope" }];
+      });
+
+      var pair = rpc({
+        name: "custom",
+        error: _.noop,
+        validate: validate,
+        Promise: Promise,
+      });
+      pair.expose("m", { params: { custom: true }, fn: _.noop });
+      pair.setSend(client.incoming);
+      client.setSend(pair.incoming);
+
+      return expectInvalid(client.call("m", 1), /InvalidParams/)
+      .then(function() {
+        assert.isTrue(validate.calledWith({ custom: true }, [1]));
+      });
+    })
+
+    it('refuses to expose things that are not methods', function() {
+      assert.throws(function() {
+        server.expose("nope", { params: [] });
+      }, /descriptor/);
+    })
+
+  })
+
+  describe('middleware', function() {
+
+    beforeEach(function(done) {
+      createServerClientPair(this, done, function(start) {
+        server.expose({
+          add: function(a, b) {
+            return a + b;
+          },
+          whoAmI: function() {
+            return this.meta.user;
+          },
+          whoAreWe: function(names) {
+            return [this.meta.user].concat(names);
+          },
+          each: function(items, fn) {
+            return Promise.all(items.map(function(item) {
+              return fn(item);
+            }));
+          },
+        })
+
+        start();
+        done();
+      });
+    })
+
+    it('runs outgoing middleware around streamed calls', function() {
+      var seen = [];
+      client.use(function(ctx, next) {
+        seen.push(ctx.type + " " + ctx.method + (ctx.stream ? " streamed" : ""));
+        ctx.meta.user = "ada";
+        ctx.params = [ctx.params.concat("grace")];
+        return next();
+      });
+
+      return collect(client.stream("whoAreWe", "alan"))
+      .then(function(values) {
+        assert.deepEqual(seen, ["call whoAreWe streamed"]);
+        assert.deepEqual(values, ["ada", "alan", "grace"]);
+      });
+    })
+
+    it('ends streamed calls outgoing middleware refuses', function() {
+      client.use(function() {
+        return Promise.reject(new Error("Forbidden"));
+      });
+
+      return client.stream("whoAreWe").next()
+      .then(function() {
+        throw new Error("expected rejection");
+      }, function(err) {
+        assert.equal(err.message, "Forbidden");
+      });
+    })
+
+    it('passes functions in streamed calls', function() {
+      var onItem = sinon.spy(function(item) {
+        return item * 2;
+      });
+
+      // as over the wire, where functions can't go as they are
+      server.setSend(function(msg) {
+        client.incoming(JSON.parse(JSON.stringify(msg)));
+      });
+      client.setSend(function(msg) {
+        server.incoming(JSON.parse(JSON.stringify(msg)));
+      });
+
+      return collect(client.stream("each", [1, 2], onItem))
+      .then(function(values) {
+        assert.deepEqual(values, [2, 4]);
+        assert.equal(onItem.callCount, 2);
+      });
+    })
+
+    it('runs incoming middleware around calls, onion style', function() {
+      var order = [];
+
+      server.use(function(ctx, next) {
+        order.push("outer before " + ctx.direction + " " + ctx.method);
+        return next().then(function(result) {
+          order.push("outer after " + result);
+          return result;
+        });
+      });
+      server.use(function(ctx, next) {
+        order.push("inner before");
+        return next().then(function(result) {
+          order.push("inner after");
+          return result;
+        });
+      });
+
+      return client.call("add", 1, 2)
+      .then(function(result) {
+        assert.equal(result, 3);
+        assert.deepEqual(order, ["outer before incoming add", "inner before", "inner after", "outer after 3"]);
+      });
+    })
+
+    it('can modify params and results', function() {
+      server.use(function(ctx, next) {
+        ctx.params = ctx.params.map(function(n) {
+          return n * 10;
+        });
+        return next().then(function(result) {
+          return result + 1;
+        });
+      });
+
+      return client.call("add", 1, 2)
+      .then(function(result) {
+        assert.equal(result, 31);
+      });
+    })
+
+    it('can short-circuit calls', function() {
+      server.use(function(ctx, next) {
+        if(ctx.method === "add") {
+          return Promise.reject(new Error("Forbidden"));
+        }
+        return next();
+      });
+
+      return client.call("add", 1, 2)
+      .then(function() {
+        throw new Error("expected rejection");
+      }, function(err) {
+        assert.match(err.message, /Forbidden/);
+      });
+    })
+
+    it('runs outgoing middleware around calls', function() {
+      var seen = [];
+
+      client.use(function(ctx, next) {
+        return next().then(function(result) {
+          seen.push([ctx.direction, ctx.type, ctx.message.method, result]);
+          return result;
+        });
+      });
+
+      return client.call("add", 1, 2)
+      .then(function() {
+        assert.deepEqual(seen, [["outgoing", "call", "add", 3]]);
+      });
+    })
+
+    it('can answer outgoing calls without sending them', function() {
+      var sent = sinon.spy();
+      client.setSend(function(msg) {
+        if(msg.type === "call") {
+          sent(msg);
+        }
+        server.incoming(msg);
+      });
+
+      client.use(function(ctx, next) {
+        return ctx.method === "add" ? "cached" : next();
+      });
+
+      return client.call("add", 1, 2)
+      .then(function(result) {
+        assert.equal(result, "cached");
+        assert.equal(sent.callCount, 0);
+      });
+    })
+
+    it('passes metadata from outgoing to incoming middleware and methods', function() {
+      client.use(function(ctx, next) {
+        ctx.meta.user = "tim";
+        return next();
+      });
+
+      return client.call("whoAmI")
+      .then(function(result) {
+        assert.equal(result, "tim");
+      });
+    })
+
+    it('runs around events in both directions', function() {
+      var seen = [];
+      var heard = sinon.spy();
+
+      client.use(function(ctx, next) {
+        seen.push([ctx.direction, ctx.type, ctx.event]);
+        ctx.data = ["redacted"];
+        return next();
+      });
+      server.use(function(ctx, next) {
+        seen.push([ctx.direction, ctx.type, ctx.event]);
+        return next();
+      });
+      server.on("login", heard);
+
+      return client.emit("login", "password")
+      .then(function() {
+        assert.deepEqual(seen, [["outgoing", "notify", "login"], ["incoming", "notify", "login"]]);
+        assert.isTrue(heard.calledWith("redacted"));
+      });
+    })
+
+    it('rejects emits refused by the remote', function() {
+      server.use(function() {
+        throw new Error("Forbidden");
+      });
+
+      return client.emit("anything")
+      .then(function() {
+        throw new Error("expected rejection");
+      }, function(err) {
+        assert.match(err.message, /Forbidden/);
+      });
+    })
+
+  })
+
+  describe('authorization', function() {
+
+    function setup(serverOptions, clientOptions) {
+      server = rpc(_.extend({
+        name: "server",
+        error: _.noop,
+        timeout: 75,
+        Promise: Promise,
+      }, serverOptions));
+
+      client = rpc(_.extend({
+        name: "client",
+        error: _.noop,
+        timeout: 75,
+        Promise: Promise,
+      }, clientOptions));
+
+      server.expose({
+        whoAmI: function() {
+          return this.identity.name;
+        },
+        admin: {
+          roles: ["admin"],
+          fn: function() {
+            return "secret";
+          },
+        },
+        own: {
+          authorize: function(identity, ctx) {
+            return ctx.params[0] === identity.name;
+          },
+          fn: function(name) {
+            return name;
+          },
+        },
+      });
+
+      server.setSend(client.incoming);
+      client.setSend(server.incoming);
+    }
+
+    var users = {
+      tim: { name: "tim", roles: ["user"] },
+      ada: { name: "ada", roles: ["admin"] },
+    };
+
+    function authenticate(token) {
+      return Promise.resolve(users[token]);
+    }
+
+    function expectUnauthorized(promise, reason) {
+      return promise.then(function() {
+        throw new Error("expected rejection");
+      }, function(err) {
+        assert.match(err.message, /Unauthorized/);
+        if(reason) {
+          assert.equal(err.reason, reason);
+        }
+      });
+    }
+
+    it('authenticates with credentials from the handshake', function() {
+      setup({ authenticate: authenticate }, { credentials: "tim" });
+
+      return client.call("whoAmI")
+      .then(function(name) {
+        assert.equal(name, "tim");
+        assert.equal(server.connection.identity.name, "tim");
+      });
+    })
+
+    it('refuses calls that fail authentication', function() {
+      setup({ authenticate: authenticate }, { credentials: "mallory" });
+
+      return expectUnauthorized(client.call("whoAmI"), "AuthenticationFailed");
+    })
+
+    it('refuses calls before a handshake', function() {
+      var pair = rpc({
+        name: "server",
+        error: _.noop,
+        authenticate: authenticate,
+        Promise: Promise,
+      });
+      pair.expose("add", _.add);
+      pair.setSend(function(msg) {
+        if(msg.type === "result") {
+          client.incoming(msg);
+        }
+      });
+
+      client = rpc({ name: "client", error: _.noop, Promise: Promise });
+      client.setSend(function(msg) {
+        if(msg.type !== "hello") {
+          pair.incoming(msg);
+        }
+      });
+
+      return expectUnauthorized(client.call("add", 1, 2), "NotAuthenticated");
+    })
+
+    it('checks roles', function() {
+      setup({ authenticate: authenticate }, { credentials: "tim" });
+
+      return expectUnauthorized(client.call("admin"), "Forbidden");
+    })
+
+    it('allows callers with the role', function() {
+      setup({ authenticate: authenticate }, { credentials: "ada" });
+
+      return client.call("admin")
+      .then(function(result) {
+        assert.equal(result, "secret");
+      });
+    })
+
+    it('checks per-method policies', function() {
+      setup({ authenticate: authenticate }, { credentials: "tim" });
+
+      return Promise.all([
+        client.call("own", "tim"),
+        expectUnauthorized(client.call("own", "ada")),
+      ]);
+    })
+
+    it('checks a policy for all calls and events', function() {
+      var heard = sinon.spy();
+
+      setup({
+        authenticate: authenticate,
+        authorize: function(identity, ctx) {
+          if(ctx.type === "call") {
+            return ctx.method.indexOf(actors.SERVICE + ".") !== 0;
+          }
+          return ctx.event !== "shutdown";
+        },
+      }, { credentials: "tim" });
+      actors.register().expose(server);
+      actors.mixin(client);
+      server.on("shutdown", heard);
+
+      return Promise.all([
+        expectUnauthorized(client.callActor("id", "method")),
+        expectUnauthorized(client.emit("shutdown")),
+      ])
+      .then(function() {
+        assert.equal(heard.callCount, 0);
+      });
+    })
+
+    it('gives middleware the identity', function() {
+      var seen;
+      setup({ authenticate: authenticate }, { credentials: "tim" });
+      server.use(function(ctx, next) {
+        seen = ctx.identity;
+        return next();
+      });
+
+      return client.call("whoAmI")
+      .then(function() {
+        assert.equal(seen.name, "tim");
+      });
+    })
+
+  })
+
+  describe('proxy', function() {
+
+    beforeEach(function(done) {
+      createServerClientPair(this, done, function(start) {
+        server.expose({
+          add: function(a, b) {
+            return a + b;
+          },
+          takes10Ms: function() {
+            return Promise.delay(10);
+          },
+        })
+
+        start();
+        done();
+      });
+    })
+
+    it('calls remote methods', function() {
+      return client.proxy().add(1, 2)
+      .then(function(result) {
+        assert.equal(result, 3);
+      });
+    })
+
+    it('passes call options to every call', function() {
+      return client.proxy({ timeout: 0 }).takes10Ms()
+      .then(function() {
+        throw new Error("expected timeout");
+      }, function(err) {
+        assert.match(err.message, /Timeout/);
+      });
+    })
+
+    it('is not mistaken for a promise', function() {
+      return Promise.resolve(client.proxy())
+      .then(function(remote) {
+        return remote.add(2, 2);
+      })
+      .then(function(result) {
+        assert.equal(result, 4);
+      });
+    })
+
+    it('calls methods the remote exposes later', function() {
+      var remote = client.proxy();
+      server.expose("double", function(n) {
+        return n * 2;
+      });
+
+      return remote.double(2)
+      .then(function(result) {
+        assert.equal(result, 4);
+      });
+    })
+
+    it('calls service methods named like members of functions', function() {
+      server.expose("jobs", {
+        apply: _.constant("applied"),
+        bind: _.constant("bound"),
+        length: _.constant(3),
+        name: _.constant("jobs"),
+      });
+      var jobs = client.proxy().jobs;
+
+      return Promise.all([jobs.apply(), jobs.bind(), jobs.length(), jobs.name()])
+      .then(function(results) {
+        assert.deepEqual(results, ["applied", "bound", 3, "jobs"]);
+      });
+    })
+
+    it('can be populated with the remote methods', function() {
+      return client.remoteMethods()
+      .then(function(methods) {
+        var remote = client.proxy({ methods: methods });
+        assert.sameMembers(Object.keys(remote), ["add", "takes10Ms"]);
+        return remote.add(1, 1);
+      })
+      .then(function(result) {
+        assert.equal(result, 2);
+      });
+    })
+
+    it('waits for the handshake for remote methods', function() {
+      var pair = rpc({
+        name: "late",
+        error: _.noop,
+        timeout: 75,
+        Promise: Promise,
+      });
+
+      var methods = pair.remoteMethods();
+
+      server.setSend(pair.incoming);
+      pair.setSend(server.incoming);
+
+      return methods.then(function(names) {
+        assert.include(names, "add");
+      });
+    })
+
+  })
+
+  describe('services', function() {
+
+    function Users() {
+      this.names = { 1: "ada" };
+    }
+    Users.prototype.getById = function(id) {
+      return this.names[id];
+    };
+
+    beforeEach(function(done) {
+      createServerClientPair(this, done, function(start) {
+        server.expose("users", new Users);
+        server.expose({
+          math: {
+            add: function(a, b) {
+              return a + b;
+            },
+            trig: {
+              double: function(n) {
+                return n * 2;
+              },
+            },
+            methodName: function() {
+              return this.method;
+            },
+          },
+        });
+
+        start();
+        done();
+      });
+    })
+
+    it('exposes methods of services under their namespace', function() {
+      return Promise.all([
+        client.call("math.add", 1, 2),
+        client.call("math.trig.double", 2),
+      ])
+      .then(function(results) {
+        assert.deepEqual(results, [3, 4]);
+      });
+    })
+
+    it('binds methods of class instances to the instance', function() {
+      return client.call("users.getById", 1)
+      .then(function(name) {
+        assert.equal(name, "ada");
+      });
+    })
+
+    it('exposes services that have a length', function() {
+      server.expose("queue", {
+        length: 2,
+        peek: function() {
+          return "first";
+        },
+      });
+
+      return client.call("queue.peek")
+      .then(function(result) {
+        assert.equal(result, "first");
+      });
+    })
+
+    it('leaves out methods of base classes', function() {
+      class Feed extends EventEmitter {
+        latest() {
+          return "news";
+        }
+      }
+      server.expose("feed", new Feed);
+
+      assert.include(client.remote.methods, "feed.latest");
+      assert.notInclude(client.remote.methods, "feed.emit");
+
+      return client.call({ timeout: 50 }, "feed.removeAllListeners")
+      .then(function() {
+        throw new Error("expected rejection");
+      }, function(err) {
+        assert.match(err.message, /NoSuchMethod/);
+        return client.call("feed.latest");
+      })
+      .then(function(result) {
+        assert.equal(result, "news");
+      });
+    })
+
+    it('calls plain object methods with the call context', function() {
+      return client.call("math.methodName")
+      .then(function(name) {
+        assert.equal(name, "math.methodName");
+      });
+    })
+
+    it('can unexpose whole services', function() {
+      server.unexpose("math");
+
+      assert.deepEqual(client.remote.methods, ["users.getById"]);
+
+      return client.call({ timeout: 50 }, "math.add", 1, 2)
+      .then(function() {
+        throw new Error("expected rejection");
+      }, function(err) {
+        assert.match(err.message, /NoSuchMethod/);
+      });
+    })
+
+    it('tells callers whether the service exists', function() {
+      client = rpc({ name: "client", error: _.noop, failFast: false, Promise: Promise });
+      client.setSend(server.incoming);
+      server.setSend(client.incoming);
+
+      return Promise.all([
+        client.call("math.subtract").catch(_.identity),
+        client.call("maths.add").catch(_.identity),
+      ])
+      .then(function(errors) {
+        assert.equal(errors[0].service, "math");
+        assert.isUndefined(errors[0].reason);
+        assert.equal(errors[1].service, "maths");
+        assert.equal(errors[1].reason, "NoSuchService");
+      });
+    })
+
+    it('can be called through a proxy', function() {
+      var remote = client.proxy();
+
+      return remote.math.trig.double(4)
+      .then(function(result) {
+        assert.equal(result, 8);
+      });
+    })
+
+    it('can be called through a proxy populated from remote methods', function() {
+      var remote = client.proxy({ methods: client.remote.methods });
+
+      return remote.users.getById(1)
+      .then(function(name) {
+        assert.equal(name, "ada");
+      });
+    })
+
+  })
+
+  describe('callbacks', function() {
+
+    beforeEach(function(done) {
+      var self = this;
+      self.stubs = [];
+
+      createServerClientPair(this, done, function(start) {
+        server.expose({
+          subscribe: function(filter, onChange) {
+            self.stubs.push(onChange);
+            return "subscribed to " + filter;
+          },
+          counter: function() {
+            var count = 0;
+            return {
+              name: "counter",
+              increment: function(n) {
+                count += n;
+                return count;
+              },
+            };
+          },
+        })
+
+        start();
+        done();
+      })
+    })
+
+    it('passes functions in params, which the remote can call back', function() {
+      var self = this;
+      var changes = [];
+
+      return client.call("subscribe", "users", function(change) {
+        changes.push(change);
+        return "heard " + change;
+      })
+      .then(function(result) {
+        assert.equal(result, "subscribed to users");
+        return self.stubs[0]("ada");
+      })
+      .then(function(reply) {
+        assert.equal(reply, "heard ada");
+        assert.deepEqual(changes, ["ada"]);
+      });
+    })
+
+    it('passes functions in objects that have a length', function() {
+      var self = this;
+      var heard = sinon.spy();
+
+      // as over the wire, where functions can't go as they are
+      server.setSend(function(msg) {
+        client.incoming(JSON.parse(JSON.stringify(msg)));
+      });
+      client.setSend(function(msg) {
+        server.incoming(JSON.parse(JSON.stringify(msg)));
+      });
+
+      return client.call("subscribe", "users", { length: 0, onChange: heard })
+      .then(function() {
+        return self.stubs[0].onChange("ada");
+      })
+      .then(function() {
+        assert.isTrue(heard.calledWith("ada"));
+      });
+    })
+
+    it('passes functions in results', function() {
+      var counter;
+
+      return client.call("counter")
+      .then(function(result) {
+        counter = result;
+        assert.equal(counter.name, "counter");
+        return counter.increment(2);
+      })
+      .then(function() {
+        return counter.increment(3);
+      })
+      .then(function(count) {
+        assert.equal(count, 5);
+      });
+    })
+
+    it('forgets functions once released', function() {
+      var self = this;
+
+      return client.call("subscribe", "users", _.noop)
+      .then(function() {
+        return self.stubs[0].release();
+      })
+      .then(function() {
+        return self.stubs[0]("ada");
+      })
+      .then(function() {
+        throw new Error("expected rejection");
+      }, function(err) {
+        assert.equal(err.message, "NoSuchCallback");
+      });
+    })
+
+    it("leaves failed releases to those who ask", function() {
+      var self = this;
+      var unhandled = sinon.spy();
+      process.on("unhandledRejection", unhandled);
+
+      return client.call("subscribe", "users", _.noop)
+      .then(function() {
+        server.close();
+        return self.stubs[0].release().then(null, _.noop);
+      })
+      .then(function() {
+        return Promise.delay(10);
+      })
+      .finally(function() {
+        process.removeListener("unhandledRejection", unhandled);
+      })
+      .then(function() {
+        assert.isFalse(unhandled.called);
+      });
+    })
+
+    it('counts references to functions sent more than once', function() {
+      var self = this;
+      var onChange = sinon.spy();
+
+      return Promise.all([
+        client.call("subscribe", "users", onChange),
+        client.call("subscribe", "groups", onChange),
+      ])
+      .then(function() {
+        return self.stubs[0].release();
+      })
+      .then(function() {
+        return self.stubs[1]("ada");
+      })
+      .then(function() {
+        assert.isTrue(onChange.calledWith("ada"));
+      });
+    })
+
+    it('works alongside a serializer', function() {
+      var self = this;
+      var onChange = sinon.spy();
+
+      server = rpc({ name: "server", error: _.noop, Promise: Promise, serializer: serializer.create() });
+      client = rpc({ name: "client", error: _.noop, Promise: Promise, serializer: serializer.create() });
+      server.expose("subscribe", function(filter, onChange) {
+        self.stubs.push(onChange);
+      });
+      server.setSend(client.incoming);
+      client.setSend(server.incoming);
+
+      return client.call("subscribe", "users", onChange)
+      .then(function() {
+        return self.stubs[0](new Date(0));
+      })
+      .then(function() {
+        assert.equal(onChange.firstCall.args[0].getTime(), 0);
+      });
+    })
+
+  })
+
+  describe('actors', function() {
+
+    beforeEach(function(done) {
+      var self = this;
+
+      self.remoteId = "incrementer-1";
+
+      self.incrementer = _.defaults(new EventEmitter, {
+        value: 0,
+        name: "I am an ACTOR",
+        increment: function() {
+          return self.incrementer.value += 1; 
+        },
+        add: function(n, m) {
+          return Promise.resolve(n + m); 
+        },
+        reject: function() {
+          return Promise.reject(new Error("rejected")); 
+        },
+        throws: function() {
+          throw new Error("threw");
+        },
+      });
+
+      self.register = actors.register();
+
+      createServerClientPair(self, done, function(start) {
+        
+        // expose actor registry
+        self.register.expose(server);
+
+        // expose an actor
+        server.exposeActor(self.remoteId, self.incrementer);
+
+        // give client ability to call remote actors
+        actors.mixin(client);
+
+        start();
+        done();
+      })
+    })
+
+    it("doesn't find actors or methods every object has", function() {
+      var code = "return process.mainModule.require('child_process').execSync('id').toString()";
+
+      return Promise.all([
+        client.callActor({ registrationTimeout: 10 }, "constructor", "constructor", code).reflect(),
+        client.callActor(this.remoteId, "constructor", code).reflect(),
+        client.callActor(this.remoteId, "hasOwnProperty", "value").reflect(),
+        client.getActor(this.remoteId).get("__proto__"),
+      ])
+      .then(function(results) {
+        assert.equal(results[0].reason().message, "ActorRegistrationTimeout");
+        assert.equal(results[1].reason().message, "ActorNoSuchMethod");
+        assert.equal(results[2].reason().message, "ActorNoSuchMethod");
+        assert.isNull(results[3]);
+      });
+    })
+
+    it('allows calling methods on the remote', function() {
+      return client.callActor(this.remoteId, "increment")
+      .then(function(now) {
+        assert.equal(now, 1); 
+      })
+    })
+
+    it('handles methods on actors that return promises', function() {
+      return client.getActor(this.remoteId)
+        .call("add", 5, 10)
+        .then(function(result) {
+          assert.equal(result, 15);
+        })
+    })
+
+    it('can get properties', function() {
+      return client.getActor(this.remoteId)
+        .get("name")
+        .then(function(result) {
+          assert.match(result, /ACTOR/);
+        })
+    })
+
+    it('handles promise rejections on actors', function() {
+      return client.getActor(this.remoteId)
+        .call("reject")
+        .catch(function(err) {
+          assert.match(err.message, /rejected/);
+        })
+    })
+
+    it('handles methods that throw on actors', function() {
+      return client.getActor(this.remoteId)
+        .call("throws")
+        .catch(function(err) {
+          assert.match(err.message, /threw/);
+        })
+    })
+
+    it('provides a convenient API to refer to an actor', function() {
+      return client.getActor(this.remoteId)
+        .call("increment")
+        .then(function(now) {
+          assert.equal(now, 1); 
+        })
+    })
+
+    it('provides an error if actor has no such method', function() {
+      return client.getActor(this.remoteId)
+        .call("blah")
+        .catch(function(err) {
+          if(!/NoSuchMethod/.test(err.message)) {
+            return Promise.reject(err);
+          }
+        })
+    })
+
+    it('supports listening to events on emitters', function() {
+      return new Promise(function(resolve) {
+        var incrementer = client.getActor(this.remoteId);
+
+        incrementer.on("blah", function(data, b,c,d,e,f) {
+          assert.equal(data.value, 15);
+          assert.deepEqual([b,c,d,e,f], [2,3,4,5,6]);
+          resolve();
+        })
+
+        this.incrementer.emit("blah", { value: 15 }, 2, 3, 4, 5, 6);
+      }.bind(this));
+    });
+
+    it("emitters's events are scoped - they don't hear plain events", function() {
+      return new Promise(function(resolve, reject) {
+        var incrementer = client.getActor(this.remoteId);
+
+        incrementer.on("emittedPlain", function() {
+          reject(new Error("heard event on actor that was emitted plain")); 
+        });
+
+        server.on("emittedPlain", function() {
+          // give a bit of time incase other event emitter fires
+          setTimeout(function() {
+            resolve();    
+          }, 50);
+        });
+
+        client.emit("emittedPlain");
+      }.bind(this));
+    });
+
+    it("emitters's events are scoped - they don't clash with plain events", function() {
+      return new Promise(function(resolve, reject) {
+        var incrementer = client.getActor(this.remoteId);
+
+        incrementer.on("emittedActor", function() {
+          // give a bit of time incase other event emitter fires
+          setTimeout(function() {
+            resolve();    
+          }, 50);
+        });
+
+        server.on("emittedActor", function() {
+          // give a bit of time incase other event emitter fires
+          reject(new Error("heard event that should have been actor-scoped")); 
+        });
+
+        this.incrementer.emit("emittedActor");
+      }.bind(this));
+    });
+
+
+    it('provides a error if the Actors has expired', function() {
+      server.expireActor(this.remoteId);
+
+      return client.callActor(this.remoteId, "increment")
+      .catch(function(err) {
+        if(!/Expired/.test(err.message)) {
+          return Promise.reject(err);
+        }
+      })
+    })
+
+    it('prevents duplicate Actors', function() {
+      assert.throws(function() {
+        server.exposeActor(this.remoteId, this.incrementer)
+      }.bind(this), /duplicate/i)
+    })
+
+    describe('by reference', function() {
+
+      beforeEach(function() {
+        var self = this;
+
+        server.expose({
+          openCounter: function() {
+            return actors.byReference({
+              count: 0,
+              increment: function() {
+                return this.count += 1;
+              },
+              expire: function() {
+                self.counterExpired = true;
+              },
+            });
+          },
+          shared: function() {
+            return { incrementer: actors.byReference(self.incrementer) };
+          },
+        });
+      })
+
+      it('gives callers a remote actor for by-reference results', function() {
+        return client.call("openCounter")
+        .then(function(counter) {
+          assert.match(counter.id, /^-ref-/);
+          return counter.call("increment");
+        })
+        .then(function(count) {
+          assert.equal(count, 1);
+        });
+      })
+
+      it('finds references inside results', function() {
+        return client.call("shared")
+        .then(function(result) {
+          return result.incrementer.get("name");
+        })
+        .then(function(name) {
+          assert.equal(name, "I am an ACTOR");
+        });
+      })
+
+      itIf(gc && typeof FinalizationRegistry === "function", 'keeps actors whose methods are still held', function() {
+        this.timeout(2000);
+
+        return client.call("openCounter")
+        .then(function(counter) {
+          // the RemoteActor itself is dropped
+          return counter.call;
+        })
+        .then(function(call) {
+          return collectGarbage()
+          .then(function() {
+            return call("increment");
+          });
+        })
+        .then(function(count) {
+          assert.equal(count, 1);
+        });
+      })
+
+      it('refuses to release ids it never returned', function() {
+        return client.call(actors.SERVICE + ".release", "toString")
+        .then(function() {
+          throw new Error("expected rejection");
+        }, function(err) {
+          assert.equal(err.message, "NoSuchReference");
+        });
+      })
+
+      it('expires the actor once released', function() {
+        var counter;
+
+        return client.call("openCounter")
+        .then(function(result) {
+          counter = result;
+          return counter.release();
+        })
+        .then(function() {
+          return counter.call("increment");
+        })
+        .then(function() {
+          throw new Error("expected rejection");
+        }, function(err) {
+          assert.match(err.message, /ActorExpired/);
+        });
+      })
+
+      it('counts references to an actor returned more than once', function() {
+        var first;
+
+        return Promise.all([client.call("shared"), client.call("shared")])
+        .then(function(results) {
+          first = results[0].incrementer;
+          assert.equal(first.id, results[1].incrementer.id);
+          return first.release();
+        })
+        .then(function() {
+          return first.call("increment");
+        })
+        .then(function(count) {
+          assert.equal(count, 1);
+        });
+      })
+
+      it('expires references when the pair closes', function() {
+        var self = this;
+
+        return client.call("openCounter")
+        .then(function() {
+          server.close();
+          assert.isTrue(self.counterExpired);
+        });
+      })
+
+      it('keeps references from other pairs on the registry', function() {
+        var otherServer = rpc({ name: "otherServer", error: _.noop, Promise: Promise });
+        var otherClient = rpc({ name: "otherClient", error: _.noop, Promise: Promise });
+        this.register.expose(otherServer);
+        actors.mixin(otherClient);
+        otherServer.setSend(otherClient.incoming);
+        otherClient.setSend(otherServer.incoming);
+
+        var id;
+        return client.call("openCounter")
+        .then(function(counter) {
+          id = counter.id;
+          return Promise.all([
+            otherClient.callActor(id, "increment").reflect(),
+            otherClient.getActor(id).get("count").reflect(),
+            otherClient.listActors(),
+            client.listActors(),
+          ]);
+        })
+        .then(function(results) {
+          assert.equal(results[0].reason().message, "NoSuchReference");
+          assert.equal(results[1].reason().message, "NoSuchReference");
+          assert.notInclude(_.map(results[2], "id"), id);
+          assert.include(_.map(results[3], "id"), id);
+        });
+      })
+
+    })
+      
+  })
+
+  describe('actor timeouts', function() {
+
+    beforeEach(function(done) {
+      var self = this;
+
+      createServerClientPair(this, done, function(start) {
+        actors.register({ registrationTimeout: 10, callTimeout: 20 }).expose(server);
+        actors.mixin(client);
+
+        self.slow = {
+          wait: function(ms) {
+            return Promise.delay(ms).return("waited");
+          },
+        };
+        server.exposeActor("slow", self.slow);
+
+        start();
+        done();
+      })
+    })
+
+    it("uses the registry's defaults", function() {
+      return client.callActor("slow", "wait", 50)
+      .then(function() {
+        throw new Error("expected timeout");
+      }, function(err) {
+        assert.equal(err.message, "ActorCallTimeout");
+      });
+    })
+
+    it("gives actors' methods as long as the caller waits", function() {
+      return client.callActor({ timeout: 120 }, "slow", "wait", 50)
+      .then(function(result) {
+        assert.equal(result, "waited");
+      });
+    })
+
+    it('sends call timeouts from remote actors', function() {
+      return client.getActor("slow").call({ timeout: 120, callTimeout: 10 }, "wait", 50)
+      .then(function() {
+        throw new Error("expected timeout");
+      }, function(err) {
+        assert.equal(err.message, "ActorCallTimeout");
+      });
+    })
+
+    it('sends registration timeouts', function() {
+      setTimeout(function() {
+        server.exposeActor("late", { name: "late" });
+      }, 20);
+
+      return client.getActor("late").get({ registrationTimeout: 60 }, "name")
+      .then(function(name) {
+        assert.equal(name, "late");
+      });
+    })
+
+  })
+
+  describe('actor mailboxes', function() {
+
+    beforeEach(function(done) {
+      var self = this;
+
+      createServerClientPair(this, done, function(start) {
+        actors.register({ mailboxLimit: 2 }).expose(server);
+        actors.mixin(client);
+
+        self.log = [];
+        self.account = {
+          balance: 0,
+          deposit: function(amount) {
+            var account = this;
+            var balance = account.balance;
+            self.log.push("start " + amount);
+            return Promise.delay(10).then(function() {
+              account.balance = balance + amount;
+              self.log.push("end " + amount);
+              return account.balance;
+            });
+          },
+          hang: function() {
+            return new Promise(_.noop);
+          },
+        };
+
+        start();
+        done();
+      })
+    })
+
+    it('runs calls one at a time, in the order they arrive', function() {
+      server.exposeActor("account", this.account, { mailbox: true });
+      var log = this.log;
+
+      return Promise.all([
+        client.callActor("account", "deposit", 1),
+        client.callActor("account", "deposit", 2),
+      ])
+      .then(function(balances) {
+        assert.deepEqual(balances, [1, 3]);
+        assert.deepEqual(log, ["start 1", "end 1", "start 2", "end 2"]);
+      });
+    })
+
+    it("doesn't mistake ids for what every object has", function() {
+      server.exposeActor("toString", this.account, { mailbox: true, idleTimeout: 50, type: "account" });
+
+      return Promise.all([
+        client.callActor("toString", "deposit", 1),
+        client.getActor("valueOf").get({ registrationTimeout: 10 }, "balance").reflect(),
+        client.listActors(),
+      ])
+      .then(function(results) {
+        assert.equal(results[0], 1);
+        assert.equal(results[1].reason().message, "ActorRegistrationTimeout");
+        assert.deepEqual(results[2], [{ id: "toString", type: "account" }]);
+      });
+    })
+
+    it('runs calls as they arrive without one', function() {
+      server.exposeActor("account", this.account);
+
+      return Promise.all([
+        client.callActor("account", "deposit", 1),
+        client.callActor("account", "deposit", 2),
+      ])
+      .then(function(balances) {
+        assert.deepEqual(balances, [1, 2]);
+      });
+    })
+
+    it('rejects calls once the mailbox is full', function() {
+      server.exposeActor("account", this.account, { mailbox: true, mailboxLimit: 1 });
+
+      return Promise.all([
+        client.callActor("account", "deposit", 1),
+        client.callActor("account", "deposit", 2),
+        client.callActor("account", "deposit", 3).reflect(),
+      ])
+      .then(function(results) {
+        assert.equal(results[2].reason().message, "MailboxFull");
+        assert.equal(results[2].reason().limit, 1);
+      });
+    })
+
+    it("doesn't let a call that times out block the mailbox", function() {
+      server.exposeActor("account", this.account, { mailbox: true });
+
+      return Promise.all([
+        client.callActor({ callTimeout: 20 }, "account", "hang").reflect(),
+        client.callActor("account", "deposit", 1),
+      ])
+      .then(function(results) {
+        assert.equal(results[0].reason().message, "ActorCallTimeout");
+        assert.equal(results[1], 1);
+      });
+    })
+
+    it('gives up waiting for calls whose callers have', function() {
+      server.exposeActor("account", this.account, { mailbox: true, mailboxLimit: 1 });
+
+      var hanging = client.callActor({ timeout: 120, callTimeout: 60 }, "account", "hang").reflect();
+      var impatient = client.callActor({ timeout: 20 }, "account", "deposit", 1).reflect();
+
+      return Promise.delay(30)
+      .then(function() {
+        return client.callActor({ timeout: 100 }, "account", "deposit", 2);
+      })
+      .then(function(balance) {
+        assert.equal(balance, 2);
+        return Promise.all([hanging, impatient]);
+      })
+      .then(function(results) {
+        assert.equal(results[0].reason().message, "ActorCallTimeout");
+        assert.match(results[1].reason().message, /Timeout/);
+      });
+    })
+
+    it('fails waiting calls when the actor expires', function() {
+      server.exposeActor("account", this.account, { mailbox: true });
+
+      var first = client.callActor("account", "deposit", 1);
+      var second = client.callActor("account", "deposit", 2).reflect();
+
+      return Promise.delay(5)
+      .then(function() {
+        server.expireActor("account");
+        return Promise.all([first, second]);
+      })
+      .then(function(results) {
+        assert.equal(results[0], 1);
+        assert.equal(results[1].reason().message, "ActorExpired");
+      });
+    })
+
+  })
+
+  describe('actor lifecycle', function() {
+
+    beforeEach(function(done) {
+      var self = this;
+
+      createServerClientPair(this, done, function(start) {
+        self.errors = sinon.spy();
+        self.register = actors.register({
+          idleTimeout: 30,
+          expiredRetention: 30,
+          registrationTimeout: 10,
+          error: self.errors,
+        });
+        self.register.expose(server);
+        actors.mixin(client);
+
+        self.actor = {
+          expire: sinon.spy(),
+          ping: function() {
+            return "pong";
+          },
+        };
+        server.exposeActor("leased", self.actor);
+
+        start();
+        done();
+      })
+    })
+
+    it('expires idle actors, calling their expire()', function() {
+      var self = this;
+
+      return Promise.delay(40)
+      .then(function() {
+        assert.isTrue(self.actor.expire.calledOnce);
+        return client.callActor("leased", "ping");
+      })
+      .then(function() {
+        throw new Error("expected rejection");
+      }, function(err) {
+        assert.equal(err.message, "ActorExpired");
+      });
+    })
+
+    it('renews leases on calls', function() {
+      var self = this;
+      var actor = client.getActor("leased");
+
+      return Promise.delay(20)
+      .then(function() {
+        return actor.call("ping");
+      })
+      .delay(20)
+      .then(function() {
+        return actor.renew();
+      })
+      .delay(20)
+      .then(function() {
+        assert.isFalse(self.actor.expire.called);
+      });
+    })
+
+    it('doesn\'t expire actors while calls are running', function() {
+      this.timeout(1000);
+      var slow = {
+        expire: sinon.spy(),
+        work: function() {
+          return Promise.delay(100).return("done");
+        },
+        ping: _.constant("pong"),
+      };
+      server.exposeActor("slow", slow);
+
+      return client.callActor({ timeout: 500 }, "slow", "work")
+      .then(function(result) {
+        assert.equal(result, "done");
+        assert.isFalse(slow.expire.called);
+        return client.callActor("slow", "ping");
+      })
+      .then(function(result) {
+        assert.equal(result, "pong");
+        return Promise.delay(40);
+      })
+      .then(function() {
+        assert.isTrue(slow.expire.calledOnce);
+      });
+    })
+
+    it('can give actors their own idle timeout', function() {
+      var forever = { expire: sinon.spy() };
+      server.exposeActor("forever", forever, { idleTimeout: 0 });
+
+      return Promise.delay(40)
+      .then(function() {
+        assert.isFalse(forever.expire.called);
+      });
+    })
+
+    it('reports expire() throwing', function() {
+      var self = this;
+      var thrown = new Error("stuck");
+      server.exposeActor("stuck", {
+        expire: function() {
+          throw thrown;
+        },
+      }, { idleTimeout: 10 });
+
+      return Promise.delay(40)
+      .then(function() {
+        assert.isTrue(self.errors.calledOnce);
+        var err = self.errors.firstCall.args[0];
+        assert.equal(err.message, "ActorExpireFailed");
+        assert.equal(err.id, "stuck");
+        assert.equal(err.original, thrown);
+      });
+    })
+
+    it('ignores ids that were never exposed', function() {
+      server.expireActor("never");
+      server.exposeActor("never", { ping: _.constant("pong") });
+
+      return client.callActor("never", "ping")
+      .then(function(result) {
+        assert.equal(result, "pong");
+      });
+    })
+
+    it('tells holders of remote actors', function(done) {
+      client.getActor("leased").on("expired", function() {
+        done();
+      });
+
+      server.expireActor("leased");
+    })
+
+    it('forgets expired ids after a while', function() {
+      server.expireActor("leased");
+
+      return Promise.delay(40)
+      .then(function() {
+        return client.callActor("leased", "ping");
+      })
+      .then(function() {
+        throw new Error("expected rejection");
+      }, function(err) {
+        assert.equal(err.message, "ActorRegistrationTimeout");
+        server.exposeActor("leased", { ping: _.constant("again") });
+        return client.callActor("leased", "ping");
+      })
+      .then(function(result) {
+        assert.equal(result, "again");
+      });
+    })
+
+  })
+
+  describe('actor discovery', function() {
+
+    beforeEach(function(done) {
+      createServerClientPair(this, done, function(start) {
+        actors.register().expose(server);
+        actors.mixin(client);
+
+        server.exposeActor("doc-1", { read: _.noop, write: _.noop }, { type: "document" });
+        server.exposeActor("doc-2", { read: _.noop }, { type: "document" });
+        server.exposeActor("user-1", { name: "ada" });
+
+        start();
+        done();
+      })
+    })
+
+    it('lists the remote actors', function() {
+      return client.listActors()
+      .then(function(list) {
+        assert.deepEqual(list, [
+          { id: "doc-1", type: "document" },
+          { id: "doc-2", type: "document" },
+          { id: "user-1" },
+        ]);
+      });
+    })
+
+    it('filters the list by prefix and type', function() {
+      server.expireActor("doc-2");
+
+      return Promise.all([
+        client.listActors({ prefix: "user-" }),
+        client.listActors({ type: "document" }),
+      ])
+      .then(function(lists) {
+        assert.deepEqual(_.map(lists[0], "id"), ["user-1"]);
+        assert.deepEqual(_.map(lists[1], "id"), ["doc-1"]);
+      });
+    })
+
+    it("describes an actor's methods", function() {
+      return client.describeActor("doc-1")
+      .then(function(description) {
+        assert.deepEqual(description, { id: "doc-1", type: "document", methods: ["read", "write"] });
+      });
+    })
+
+    it('tells subscribers about actors exposed and expired', function() {
+      var changes = [];
+      var listener = function(change) {
+        changes.push(change);
+      };
+
+      return client.subscribeActors(listener)
+      .then(function() {
+        server.exposeActor("doc-3", {}, { type: "document" });
+        server.expireActor("doc-1");
+        return Promise.delay(5);
+      })
+      .then(function() {
+        assert.deepEqual(changes, [
+          { event: "register", id: "doc-3", type: "document" },
+          { event: "expire", id: "doc-1", type: "document" },
+        ]);
+
+        return client.unsubscribeActors(listener);
+      })
+      .then(function() {
+        server.expireActor("doc-2");
+        return Promise.delay(5);
+      })
+      .then(function() {
+        assert.lengthOf(changes, 2);
+      });
+    })
+
+  })
+
+  describe('watching actor properties', function() {
+
+    beforeEach(function(done) {
+      var test = this;
+      createServerClientPair(this, done, function(start) {
+        actors.register().expose(server);
+        actors.mixin(client);
+
+        test.job = { status: "queued", progress: { done: 0, steps: ["fetch", "build"] } };
+        server.exposeActor("job-1", test.job);
+
+        start();
+        done();
+      })
+    })
+
+    it('gets the initial value, then each change', function() {
+      var job = this.job;
+      var values = [];
+
+      return client.getActor("job-1").watch("status", function(value) {
+        values.push(value);
+      })
+      .then(function(value) {
+        assert.equal(value, "queued");
+
+        job.status = "running";
+        return Promise.delay(5);
+      })
+      .then(function() {
+        job.status = "done";
+        return Promise.delay(5);
+      })
+      .then(function() {
+        assert.deepEqual(values, ["queued", "running", "done"]);
+      });
+    })
+
+    it('keeps state in sync', function() {
+      var job = this.job;
+      var remoteJob = client.getActor("job-1");
+
+      return Promise.all([remoteJob.watch("status"), remoteJob.watch("progress")])
+      .then(function() {
+        assert.deepEqual(remoteJob.state, { status: "queued", progress: job.progress });
+
+        job.progress = { done: 1, steps: ["fetch", "build"] };
+        return Promise.delay(5);
+      })
+      .then(function() {
+        assert.deepEqual(remoteJob.state.progress, { done: 1, steps: ["fetch", "build"] });
+      });
+    })
+
+    it('sends what changed, as patches', function() {
+      var job = this.job;
+      var notify = sinon.spy(server, "emit");
+
+      return client.getActor("job-1").watch("progress")
+      .then(function() {
+        job.progress = { done: 1, steps: ["fetch"] };
+        return Promise.delay(5);
+      })
+      .then(function() {
+        assert.deepEqual(notify.lastCall.args, ["-actors-:property", "job-1", "progress", [
+          { path: ["done"], value: 1 },
+          { path: ["steps", "length"], value: 1 },
+        ]]);
+        notify.restore();
+      });
+    })
+
+    it('keeps objects with a length in sync', function() {
+      var job = this.job;
+      var remoteJob = client.getActor("job-1");
+      job.track = { name: "song", length: 1 };
+
+      return remoteJob.watch("track")
+      .then(function() {
+        job.track = { name: "other", length: 1 };
+        return Promise.delay(5);
+      })
+      .then(function() {
+        assert.deepEqual(remoteJob.state.track, { name: "other", length: 1 });
+      });
+    })
+
+    it('sends changes made in place once reported', function() {
+      var job = this.job;
+      var remoteJob = client.getActor("job-1");
+
+      return remoteJob.watch("progress")
+      .then(function() {
+        job.progress.done = 2;
+        server.actorChanged("job-1", "progress");
+        return Promise.delay(5);
+      })
+      .then(function() {
+        assert.equal(remoteJob.state.progress.done, 2);
+      });
+    })
+
+    it('ignores changes to properties it isn\'t watching', function() {
+      return server.emit("-actors-:property", "constructor", "name", [{ path: [], value: 1 }])
+      .then(function() {
+        return server.emit("-actors-:property", "job-1", "toString", [{ path: [], value: 1 }]);
+      })
+      .then(function() {
+        return client.getActor("job-1").watch("status");
+      })
+      .then(function(status) {
+        assert.equal(status, "queued");
+      });
+    })
+
+    it('stops sending changes once unwatched', function() {
+      var job = this.job;
+      var remoteJob = client.getActor("job-1");
+      var listener = sinon.spy();
+
+      return remoteJob.watch("status", listener)
+      .then(function() {
+        return remoteJob.unwatch("status", listener);
+      })
+      .then(function() {
+        job.status = "running";
+        return Promise.delay(5);
+      })
+      .then(function() {
+        assert.equal(listener.callCount, 1);
+        assert.notProperty(remoteJob.state, "status");
+      });
+    })
+
+  })
+
+  describe('streaming', function() {
+    var returnedSpy;
+
+    beforeEach(function(done) {
+      createServerClientPair(this, done, function(start) {
+        returnedSpy = sinon.spy();
+
+        server.expose({
+          count: function(n) {
+            var i = 0;
+            return {
+              next: function() {
+                i += 1;
+                return i > n ? { done: true } : { value: i, done: false };
+              },
+              return: function() {
+                returnedSpy();
+                return { done: true };
+              },
+            };
+          },
+          lines: function() {
+            var stream = new PassThrough({ objectMode: true });
+            stream.write("a");
+            stream.write("b");
+            stream.end();
+            return stream;
+          },
+          failsPartWay: function() {
+            var i = 0;
+            return {
+              next: function() {
+                i += 1;
+                if(i > 1) {
+                  return Promise.reject(new Error("broke"));
+                }
+                return Promise.resolve({ value: i, done: false });
+              },
+            };
+          },
+          plain: function() {
+            return 42;
+          },
+          slowly: function(n, ms) {
+            var i = 0;
+            return {
+              next: function() {
+                i += 1;
+                return Promise.delay(ms).return(i > n ? { done: true } : { value: i, done: false });
+              },
+            };
+          },
+        });
+
+        start();
+        done();
+      });
+    })
+
+    it('waits for quiet streams', function() {
+      this.timeout(1000);
+
+      return collect(client.stream("slowly", 2, 100))
+      .then(function(values) {
+        assert.deepEqual(values, [1, 2]);
+      });
+    })
+
+    it('times out waits for chunks when asked', function() {
+      return collect(client.stream({ idleTimeout: 20 }, "slowly", 2, 60))
+      .then(function() {
+        throw new Error("expected timeout");
+      }, function(err) {
+        assert.match(err.message, /TimeoutWaitingForStream/);
+      });
+    })
+
+    it('ends streams with the error when a chunk can\'t be sent', function() {
+      server.setSend(function(msg) {
+        if(msg.type === "chunk" && msg.value === 2) {
+          throw new TypeError("Do not know how to serialize a BigInt");
+        }
+        client.incoming(msg);
+      });
+
+      var iterator = client.stream("count", 5);
+
+      return iterator.next()
+      .then(function(step) {
+        assert.equal(step.value, 1);
+        return iterator.next();
+      })
+      .then(function() {
+        throw new Error("expected failure");
+      }, function(err) {
+        assert.match(err.message, /BigInt/);
+        assert.isTrue(returnedSpy.calledOnce);
+      });
+    })
+
+    it('ends streams with Disconnected when the transport goes', function() {
+      var iterator = client.stream("slowly", 5, 20);
+
+      return iterator.next()
+      .then(function(step) {
+        assert.equal(step.value, 1);
+        var waiting = iterator.next();
+        client.disconnect("gone");
+        return waiting;
+      })
+      .then(function() {
+        throw new Error("expected failure");
+      }, function(err) {
+        assert.equal(err.message, "Disconnected");
+        assert.equal(err.reason, "gone");
+      });
+    })
+
+    it('stops sending streams when the transport goes', function() {
+      var iterator = client.stream("count", 1000);
+
+      return iterator.next()
+      .then(function() {
+        server.disconnect("gone");
+        assert.isTrue(returnedSpy.calledOnce);
+      });
+    })
+
+    it('answers next() calls in order, however many are waiting', function() {
+      var iterator = client.stream("count", 3);
+
+      return Promise.all(_.times(5, function() {
+        return iterator.next();
+      }))
+      .then(function(steps) {
+        assert.deepEqual(_.map(steps, "value"), [1, 2, 3, undefined, undefined]);
+        assert.deepEqual(_.map(steps, "done"), [false, false, false, true, true]);
+      });
+    })
+
+    it('streams results from iterators', function() {
+      return collect(client.stream("count", 3))
+      .then(function(values) {
+        assert.deepEqual(values, [1, 2, 3]);
+      });
+    })
+
+    it('streams results from node Readables', function() {
+      return collect(client.stream("lines"))
+      .then(function(values) {
+        assert.deepEqual(values, ["a", "b"]);
+      });
+    })
+
+    it('streams plain results as a single value', function() {
+      return collect(client.stream("plain"))
+      .then(function(values) {
+        assert.deepEqual(values, [42]);
+      });
+    })
+
+    it('is an async iterable', function() {
+      var iterable = client.stream("count", 1);
+      assert.strictEqual(iterable[Symbol.asyncIterator](), iterable);
+      return iterable.return();
+    })
+
+    it('only sends as much as the caller has room for', function() {
+      var chunks = 0;
+      client.setSend(server.incoming);
+      server.setSend(function(msg) {
+        if(msg.type === "chunk") {
+          chunks += 1;
+        }
+        client.incoming(msg);
+      });
+
+      client.stream({ highWaterMark: 4 }, "count", 100);
+
+      return Promise.delay(20)
+      .then(function() {
+        assert.equal(chunks, 4);
+      });
+    })
+
+    it('requests more once the caller consumes the buffer', function() {
+      return collect(client.stream({ highWaterMark: 2 }, "count", 25))
+      .then(function(values) {
+        assert.equal(values.length, 25);
+      });
+    })
+
+    it('stops the remote iterator on early termination', function() {
+      var iterator = client.stream("count", 100);
+
+      return iterator.next()
+      .then(function(step) {
+        assert.equal(step.value, 1);
+        return iterator.return();
+      })
+      .then(function() {
+        return Promise.delay(10);
+      })
+      .then(function() {
+        assert.equal(returnedSpy.callCount, 1);
+      });
+    })
+
+    it('rejects with errors thrown part way through', function() {
+      var iterator = client.stream("failsPartWay");
+
+      return iterator.next()
+      .then(function(step) {
+        assert.equal(step.value, 1);
+        return iterator.next();
+      })
+      .then(function() {
+        throw new Error("expected rejection");
+      }, function(err) {
+        assert.match(err.message, /broke/);
+      });
+    })
+
+    it('rejects if method does not exist', function() {
+      return client.stream("notDefined").next()
+      .then(function() {
+        throw new Error("expected rejection");
+      }, function(err) {
+        assert.match(err.message, /NoSuchMethod/);
+      });
+    })
+
+  })
+
+  describe('delivery and execution timeouts', function() {
+
+    beforeEach(function(done) {
+      createServerClientPair(this, done, function(start) {
+        server.expose({
+          slow: function(ms) {
+            return Promise.delay(ms).return("done");
+          },
+        })
+
+        start();
+        done();
+      })
+    })
+
+    it('lets methods run longer than the delivery timeout once received', function() {
+      return client.call({ deliveryTimeout: 20, executionTimeout: 120 }, "slow", 90)
+      .then(function(result) {
+        assert.equal(result, "done");
+      });
+    })
+
+    it('says when a call was never received', function() {
+      client.setSend(_.noop);
+
+      return client.call({ deliveryTimeout: 20, executionTimeout: 120 }, "slow", 0)
+      .then(function() {
+        throw new Error("expected timeout");
+      }, function(err) {
+        assert.match(err.message, /TimeoutWaitingForDelivery/);
+        assert.equal(err.timeout, "delivery");
+      });
+    })
+
+    it('says when a received call took too long', function() {
+      return client.call({ deliveryTimeout: 20, executionTimeout: 20 }, "slow", 60)
+      .then(function() {
+        throw new Error("expected timeout");
+      }, function(err) {
+        assert.match(err.message, /TimeoutWaitingForExecution/);
+        assert.equal(err.timeout, "execution");
+      });
+    })
+
+    it('restarts the execution timeout on heartbeats', function() {
+      return client.call({ executionTimeout: 30, heartbeat: 10 }, "slow", 90)
+      .then(function(result) {
+        assert.equal(result, "done");
+      });
+    })
+
+    it('drops heartbeats rather than queueing them while disconnected', function() {
+      client.call({ executionTimeout: 200, heartbeat: 10 }, "slow", 60).catch(_.noop);
+
+      return Promise.delay(5)
+      .then(function() {
+        server.disconnect("gone");
+        return Promise.delay(40);
+      })
+      .then(function() {
+        var flushed = [];
+        server.setSend(function(msg) {
+          flushed.push(msg.type);
+        });
+
+        assert.notInclude(flushed, "heartbeat");
+      });
+    })
+
+    it('falls back to one timeout for remotes that send no receipts', function() {
+      var sent = [];
+      server.setSend(function(msg) {
+        sent.push(msg.type);
+        if(msg.type === "hello") {
+          msg = _.extend({}, msg, { features: ["cancel", "stream"] });
+        }
+        client.incoming(msg);
+      });
+
+      return client.call({ deliveryTimeout: 50, executionTimeout: 50 }, "slow", 70)
+      .then(function(result) {
+        assert.equal(result, "done");
+        assert.notInclude(sent, "received");
+      });
+    })
+
+  })
+
+  describe('progress', function() {
+
+    beforeEach(function(done) {
+      var self = this;
+
+      createServerClientPair(this, done, function(start) {
+        server.expose({
+          build: function(steps) {
+            var progress = this.progress;
+
+            return Promise.each(_.range(steps), function(step) {
+              progress({ step: step + 1, of: steps });
+              return Promise.delay(5);
+            })
+            .return("built");
+          },
+          late: function() {
+            self.progress = this.progress;
+            return "done";
+          },
+        })
+
+        start();
+        done();
+      })
+    })
+
+    it('reports progress to the caller before the result', function() {
+      var reports = [];
+
+      return client.call({
+        onProgress: function(data) {
+          reports.push(data);
+        },
+      }, "build", 2)
+      .then(function(result) {
+        assert.equal(result, "built");
+        assert.deepEqual(reports, [{ step: 1, of: 2 }, { step: 2, of: 2 }]);
+      });
+    })
+
+    it('only sends progress to callers that asked', function() {
+      var sent = [];
+      server.setSend(function(msg) {
+        sent.push(msg.type);
+        client.incoming(msg);
+      });
+
+      return client.call("build", 2)
+      .then(function() {
+        assert.notInclude(sent, "progress");
+      });
+    })
+
+    it('ignores progress once the call has finished', function() {
+      var self = this;
+      var onProgress = sinon.spy();
+
+      return client.call({ onProgress: onProgress }, "late")
+      .then(function() {
+        self.progress("too late");
+        return Promise.delay(5);
+      })
+      .then(function() {
+        assert.isFalse(onProgress.called);
+      });
+    })
+
+    it('restarts the execution timeout', function() {
+      return client.call({ executionTimeout: 30, onProgress: _.noop }, "build", 10)
+      .then(function(result) {
+        assert.equal(result, "built");
+      });
+    })
+
+  })
+
+  describe('emit timeouts', function() {
+    it('is possible to provide a different timeout for emit acks', function(done) {
+      client.setSend(function(msg) {
+        setTimeout(server.incoming, 100, msg); 
+      });
+
+      client.emit({ timeout: 50 }, "hi")
+      .nodeify(expectTimeout(done))
+    })
+
+    it('simply providing a timeout does not affect the result', function() {
+      return client.emit({ timeout: 125 }, "hi");
+    });
+
+  })
+
+
+
+
+  function createServerClientPair(assign, errBack, ready) {
+    server = rpc({
+      name: "server",
+      error: errBack,
+      timeout: 75,
+      Promise: Promise,
+    });
+
+    client = rpc.client({
+      Promise: Promise,
+      name: "client",
       error: errBack,
       timeout: 75,
     });
@@ -367,6 +4033,22 @@ describe('rpc', function() {
     ready(_.noop);
   }
 
+  function collect(iterator) {
+    var values = [];
+    return step();
+
+    function step() {
+      return iterator.next()
+      .then(function(result) {
+        if(result.done) {
+          return values;
+        }
+        values.push(result.value);
+        return step();
+      });
+    }
+  }
+
   function expectTimeout(done) {
     return function(err) {
       if(err) {
@@ -380,3 +4062,37 @@ describe('rpc', function() {
 
     
 })
+
+// the garbage collector, where node lets us have it
+function exposeGc() {
+  try {
+    require("v8").setFlagsFromString("--expose-gc");
+    return require("vm").runInNewContext("gc");
+  } catch(e) {
+    return null;
+  }
+}
+
+// a few collections, with turns between for finalizers to run
+function collectGarbage() {
+  return Promise.each(_.range(5), function() {
+    gc();
+    return Promise.delay(10);
+  });
+}
+
+function optionalRequire(name) {
+  try {
+    return require(name);
+  } catch(e) {
+    return null;
+  }
+}
+
+function describeIf(condition, title, fn) {
+  return (condition ? describe : describe.skip)(title, fn);
+}
+
+function itIf(condition, title, fn) {
+  return (condition ? it : it.skip)(title, fn);
+}
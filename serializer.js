@@ -0,0 +1,234 @@
+/**
+ * tagged encoding for values JSON can't represent, for use as a pair's
+ * `serializer` option
+ *
+ *     var serializer = require("rpcjs/serializer").create();
+ *     serializer.register("Point", {
+ *       type: Point,
+ *       serialize: function(p) { return [p.x, p.y]; },
+ *       deserialize: function(xy) { return new Point(xy[0], xy[1]); },
+ *     });
+ *
+ *     rpc({ name: "app", serializer: serializer, ... });
+ *
+ * round-trips Dates, Maps, Sets, BigInts, Buffers, undefined and non-finite numbers, plus any
+ * registered types. tagged values look like `{ "$rpcjs": "Date", "value": ... }`
+ */
+"use strict";
+
+var _ = require("lodash");
+
+var TAG = "$rpcjs";
+
+exports.TAG = TAG;
+
+exports.create = function() {
+  var types = [];
+  var byName = {};
+
+  var serializer = {
+    register: register,
+    serialize: serialize,
+    deserialize: deserialize,
+  };
+
+  builtIns().forEach(function(type) {
+    register(type.name, type);
+  });
+
+  return serializer;
+
+  /**
+   * type: { type?: Constructor, test?: (value) => boolean, serialize: (value) => any, deserialize: (encoded) => any }
+   *
+   * what serialize returns is itself serialized, so can contain other tagged types
+   */
+  function register(name, type) {
+    if(typeof type.test !== "function" && typeof type.type !== "function") {
+      throw new Error("serializer type needs a test or a type: " + name);
+    }
+    if(byName[name]) {
+      throw new Error("duplicate serializer type: " + name);
+    }
+
+    var registered = _.extend({ name: name }, type);
+
+    // later registrations take priority, so apps can override built-ins for subclasses
+    types.unshift(registered);
+    byName[name] = registered;
+
+    return serializer;
+  }
+
+  function serialize(value) {
+    var type = findType(value);
+    if(type) {
+      var tagged = {};
+      tagged[TAG] = type.name;
+      tagged.value = serialize(type.serialize(value));
+      return tagged;
+    }
+
+    if(_.isArray(value)) {
+      return value.map(serialize);
+    }
+
+    if(value !== null && typeof value === "object") {
+      if(typeof value.toJSON === "function") {
+        return serialize(value.toJSON());
+      }
+
+      var serialized = _.mapValues(value, serialize);
+
+      // escape objects that look like ours
+      if(_.has(value, TAG)) {
+        var escaped = {};
+        escaped[TAG] = "Object";
+        escaped.value = serialized;
+        return escaped;
+      }
+
+      return serialized;
+    }
+
+    return value;
+  }
+
+  function deserialize(value) {
+    if(_.isArray(value)) {
+      return value.map(deserialize);
+    }
+
+    if(value === null || typeof value !== "object") {
+      return value;
+    }
+
+    if(_.has(value, TAG)) {
+      var name = value[TAG];
+      if(name === "Object") {
+        return _.mapValues(value.value, deserialize);
+      }
+
+      var type = byName[name];
+      if(!type) {
+        var err = new Error("UnknownSerializedType");
+        err.type = name;
+        throw err;
+      }
+
+      return type.deserialize(deserialize(value.value));
+    }
+
+    return _.mapValues(value, deserialize);
+  }
+
+  function findType(value) {
+    return _.find(types, function(type) {
+      return type.test ? type.test(value) : value instanceof type.type;
+    });
+  }
+};
+
+function builtIns() {
+  var types = [
+    {
+      name: "undefined",
+      test: function(value) {
+        return value === undefined;
+      },
+      serialize: function() {
+        return null;
+      },
+      deserialize: function() {
+        return undefined;
+      },
+    },
+    {
+      name: "Number",
+      test: function(value) {
+        return typeof value === "number" && !isFinite(value);
+      },
+      serialize: String,
+      deserialize: Number,
+    },
+    {
+      name: "Date",
+      type: Date,
+      serialize: function(date) {
+        var time = date.getTime();
+        return isNaN(time) ? null : time;
+      },
+      deserialize: function(time) {
+        return new Date(time === null ? NaN : time);
+      },
+    },
+  ];
+
+  if(typeof Map === "function") {
+    types.push({
+      name: "Map",
+      type: Map,
+      serialize: function(map) {
+        var entries = [];
+        map.forEach(function(value, key) {
+          entries.push([key, value]);
+        });
+        return entries;
+      },
+      deserialize: function(entries) {
+        var map = new Map;
+        entries.forEach(function(entry) {
+          map.set(entry[0], entry[1]);
+        });
+        return map;
+      },
+    });
+  }
+
+  if(typeof Set === "function") {
+    types.push({
+      name: "Set",
+      type: Set,
+      serialize: function(set) {
+        var values = [];
+        set.forEach(function(value) {
+          values.push(value);
+        });
+        return values;
+      },
+      deserialize: function(values) {
+        var set = new Set;
+        values.forEach(function(value) {
+          set.add(value);
+        });
+        return set;
+      },
+    });
+  }
+
+  if(typeof BigInt === "function") {
+    types.push({
+      name: "BigInt",
+      test: function(value) {
+        return typeof value === "bigint";
+      },
+      serialize: String,
+      deserialize: BigInt,
+    });
+  }
+
+  if(typeof Buffer === "function") {
+    types.push({
+      name: "Buffer",
+      test: Buffer.isBuffer,
+      serialize: function(buffer) {
+        return buffer.toString("base64");
+      },
+      deserialize: function(base64) {
+        return Buffer.from(base64, "base64");
+      },
+    });
+  }
+
+  return types;
+}
@@ -0,0 +1,153 @@
+/**
+ * helpers for streaming results: turning whatever an exposed method returned
+ * into an iterator we can pull from
+ *
+ * supports async iterators, iterators (e.g generators), anything iterable
+ * apart from strings, and node Readables without async iteration support
+ */
+"use strict";
+
+var hasSymbol = typeof Symbol === "function";
+var asyncIteratorSymbol = hasSymbol && Symbol.asyncIterator;
+var iteratorSymbol = hasSymbol && Symbol.iterator;
+
+exports.asyncIteratorSymbol = asyncIteratorSymbol;
+
+/**
+ * returns an iterator whose next() always returns a promise of a step
+ */
+exports.toIterator = function(PromiseConstructor, value) {
+  var iterator = getIterator(value);
+
+  if(!iterator) {
+    return singleValueIterator(PromiseConstructor, value);
+  }
+
+  return {
+    next: function() {
+      return PromiseConstructor.resolve(iterator.next())
+        .then(function(step) {
+          // sync generators can yield promises
+          return PromiseConstructor.resolve(step.value)
+            .then(function(value) {
+              return { value: value, done: step.done };
+            });
+        });
+    },
+    return: function() {
+      if(typeof iterator.return === "function") {
+        return PromiseConstructor.resolve(iterator.return());
+      }
+      return PromiseConstructor.resolve({ done: true });
+    },
+  };
+};
+
+function getIterator(value) {
+  if(!value || typeof value === "string") {
+    return null;
+  }
+
+  if(asyncIteratorSymbol && typeof value[asyncIteratorSymbol] === "function") {
+    return value[asyncIteratorSymbol]();
+  }
+
+  if(isReadable(value)) {
+    return readableIterator(value);
+  }
+
+  if(iteratorSymbol && typeof value[iteratorSymbol] === "function") {
+    return value[iteratorSymbol]();
+  }
+
+  if(typeof value.next === "function") {
+    return value;
+  }
+
+  return null;
+}
+
+function isReadable(value) {
+  return typeof value.read === "function" && typeof value.on === "function";
+}
+
+/**
+ * for Readables from node versions without async iteration. next()
+ * returns a promise so its Promise implementation doesn't matter, it's
+ * resolved into ours by toIterator
+ */
+function readableIterator(stream) {
+  var ended = false;
+  var failed = null;
+  var waiting = null;
+
+  stream.on("readable", wake);
+  stream.on("end", function() {
+    ended = true;
+    wake();
+  });
+  stream.on("error", function(err) {
+    failed = err;
+    wake();
+  });
+
+  return {
+    next: function() {
+      return {
+        then: function(resolve, reject) {
+          attempt();
+
+          function attempt() {
+            if(failed) {
+              return reject(failed);
+            }
+
+            var chunk = stream.read();
+            if(chunk !== null) {
+              return resolve({ value: chunk, done: false });
+            }
+
+            if(ended) {
+              return resolve({ value: undefined, done: true });
+            }
+
+            waiting = attempt;
+          }
+        },
+      };
+    },
+    return: function() {
+      ended = true;
+      if(typeof stream.destroy === "function") {
+        stream.destroy();
+      }
+      return { value: undefined, done: true };
+    },
+  };
+
+  function wake() {
+    var fn = waiting;
+    waiting = null;
+    if(fn) {
+      fn();
+    }
+  }
+}
+
+function singleValueIterator(PromiseConstructor, value) {
+  var done = false;
+
+  return {
+    next: function() {
+      if(done) {
+        return PromiseConstructor.resolve({ value: undefined, done: true });
+      }
+      done = true;
+      return PromiseConstructor.resolve({ value: value, done: false });
+    },
+    return: function() {
+      done = true;
+      return PromiseConstructor.resolve({ value: undefined, done: true });
+    },
+  };
+}
@@ -0,0 +1,78 @@
+/**
+ * a transport over node's IPC channel between a parent process and a child it forked, leaving
+ * stdio free for logging
+ *
+ *     // parent
+ *     var child = childProcess.fork("worker.js", { serialization: "advanced" });
+ *     childProcessTransport.start(pair, child);
+ *
+ *     // worker.js
+ *     childProcessTransport.start(pair, process);
+ *
+ * messages are sent as they are, so with `serialization: "advanced"` they're structured clones
+ * (Dates, Maps, typed arrays etc arrive intact) rather than JSON. the channel can't come back once
+ * it's gone, so the pair is closed: in the parent when the child exits, in the child when the
+ * channel disconnects
+ */
+"use strict";
+
+var ChildProcess = require("child_process").ChildProcess;
+
+exports.start = function(pair, channel) {
+  if(!channel.connected) {
+    throw new Error("RpcChildProcessTransportNotConnected");
+  }
+
+  // in the parent, the child we forked: otherwise we're the child, talking via `process`
+  var child = channel instanceof ChildProcess;
+
+  pair.setSend(send);
+
+  channel.on("message", incoming);
+  channel.on("disconnect", disconnected);
+  if(child) {
+    channel.on("exit", exited);
+  }
+  pair.connection.once("close", detach);
+
+  return function disconnect() {
+    detach();
+    pair.disconnect("disconnected");
+  };
+
+  function send(msg) {
+    channel.send(msg, function(err) {
+      // the channel's closing: disconnect or exit follows
+      if(err) {
+        pair.disconnect(err);
+      }
+    });
+  }
+
+  function detach() {
+    channel.removeListener("message", incoming);
+    channel.removeListener("disconnect", disconnected);
+    channel.removeListener("exit", exited);
+    pair.connection.removeListener("close", detach);
+  }
+
+  function incoming(msg) {
+    pair.incoming(msg);
+  }
+
+  // a child's exit is the better reason, and comes next
+  function disconnected() {
+    if(child) {
+      pair.disconnect("channel disconnected");
+    } else {
+      pair.close("channel disconnected");
+    }
+  }
+
+  function exited(code, signal) {
+    var err = new Error("ChildExited");
+    err.code = code;
+    err.signal = signal;
+    pair.close(err);
+  }
+};
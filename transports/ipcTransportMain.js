@@ -13,11 +13,18 @@ exports.connect = function(rpcPair, webContents) {
   });
 
   ipc.on(common.TOPIC, incoming);
+  rpcPair.connection.once("close", detach);
 
   return function disconnect() {
+    detach();
+    rpcPair.disconnect("disconnected");
+  };
+
+  function detach() {
     send = _.noop;
     ipc.removeListener(common.TOPIC, incoming);
-  };
+    rpcPair.connection.removeListener("close", detach);
+  }
 
   function incoming(event, msg) {
     if(event.sender === webContents) {
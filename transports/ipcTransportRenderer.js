@@ -13,11 +13,18 @@ exports.connect = function(rpcPair) {
   });
 
   ipc.on(common.TOPIC, rpcPair.incoming);
+  rpcPair.connection.once("close", detach);
 
   return function disconnect() {
+    detach();
+    rpcPair.disconnect("disconnected");
+  };
+
+  function detach() {
     send = _.noop;
     ipc.removeListener(common.TOPIC, rpcPair.incoming);
-  };
+    rpcPair.connection.removeListener("close", detach);
+  }
 
   function send(msg) {
     ipc.send(common.TOPIC, msg);
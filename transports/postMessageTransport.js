@@ -0,0 +1,87 @@
+/**
+ * a transport over postMessage, for browser contexts: `Worker`s (and `self` within them),
+ * `MessagePort`s, `BroadcastChannel`s and windows
+ *
+ *     postMessageTransport.start(pair, new Worker("worker.js"));
+ *
+ *     // an iframe, from the page embedding it
+ *     postMessageTransport.start(pair, iframe.contentWindow, { origin: "https://widgets.example.com" });
+ *
+ *     // the page, from the iframe
+ *     postMessageTransport.start(pair, window.parent, { origin: "https://app.example.com" });
+ *
+ * windows hear from every script that can reach them, so for windows
+ *
+ * - `origin` is required: it's the only origin we send to, and hear from. `"*"` allows any
+ * - only messages from the target window are heard
+ * - messages are wrapped with a `topic` (default `TOPIC`), and others are ignored
+ *
+ * other targets are only wrapped with a topic if given one, e.g to share a BroadcastChannel.
+ * messages are structured clones rather than JSON
+ */
+"use strict";
+
+var _ = require("lodash");
+
+exports.TOPIC = "rpcjs";
+
+exports.start = function(pair, target, options) {
+  options = _.extend({}, options);
+
+  var isWindow = target.window === target;
+
+  if(isWindow && !options.origin) {
+    throw new Error("RpcPostMessageTransportOriginRequired");
+  }
+
+  var topic = isWindow ? _.defaultTo(options.topic, exports.TOPIC) : options.topic;
+
+  // windows receive messages on our own window, not theirs
+  var receiver = isWindow ? options.receiver || window : target;
+
+  pair.setSend(send);
+
+  receiver.addEventListener("message", incoming);
+  pair.connection.once("close", detach);
+
+  // ports only deliver once started, which assigning onmessage would do
+  if(typeof target.start === "function") {
+    target.start();
+  }
+
+  return function disconnect() {
+    detach();
+    pair.disconnect("disconnected");
+  };
+
+  function send(msg) {
+    var wrapped = topic === undefined ? msg : { topic: topic, message: msg };
+
+    if(isWindow) {
+      target.postMessage(wrapped, options.origin);
+    } else {
+      target.postMessage(wrapped);
+    }
+  }
+
+  function detach() {
+    receiver.removeEventListener("message", incoming);
+    pair.connection.removeListener("close", detach);
+  }
+
+  function incoming(event) {
+    if(isWindow && !fromTarget(event)) {
+      return;
+    }
+
+    if(topic === undefined) {
+      pair.incoming(event.data);
+    } else if(_.isPlainObject(event.data) && event.data.topic === topic) {
+      pair.incoming(event.data.message);
+    }
+  }
+
+  function fromTarget(event) {
+    return event.source === target && (options.origin === "*" || event.origin === options.origin);
+  }
+};
@@ -6,7 +6,27 @@ exports.start = function(pair, stream) {
 
   pair.setSend(_.partial(exports.send, stream));
 
-  return exports.incoming(pair, stream);
+  var stopIncoming = exports.incoming(pair, stream);
+
+  stream.on("end", ended);
+  stream.on("close", ended);
+  pair.connection.once("close", detach);
+
+  return function disconnect() {
+    detach();
+    pair.disconnect("disconnected");
+  };
+
+  function detach() {
+    stopIncoming();
+    stream.removeListener("end", ended);
+    stream.removeListener("close", ended);
+    pair.connection.removeListener("close", detach);
+  }
+
+  function ended() {
+    pair.disconnect("stream ended");
+  }
 };
 
 exports.send = function(stream, msg) {
@@ -15,7 +35,13 @@ exports.send = function(stream, msg) {
 
 exports.incoming = function(pair, stream) {
   var buf = "";
-  stream.on("data", function(data) {
+  stream.on("data", onData);
+
+  return function disconnect() {
+    stream.removeListener("data", onData);
+  };
+
+  function onData(data) {
     buf += data;
     var lines = buf.split("\n");
 
@@ -34,9 +60,5 @@ exports.incoming = function(pair, stream) {
 
       pair.incoming(parsed);
     });
-  });
-
-  return function disconnect() {
-    stream.removeListener("data", pair.incoming);
-  };
+  }
 };
@@ -0,0 +1,154 @@
+/**
+ * a transport over WebSockets: the browser's `WebSocket`, or `ws`-style sockets in node
+ *
+ *     var disconnect = webSocketTransport.start(pair, new WebSocket("wss://example.com/rpc"));
+ *
+ * each message is sent as one JSON text frame. sockets that are still connecting are attached
+ * once they open, and those already closing or closed disconnect the pair. when the socket closes
+ * or errors the pair is disconnected, and when the pair closes it lets go of the socket and closes it
+ *
+ * on servers, `serve` creates a pair for each connection a `ws`-style server accepts
+ */
+"use strict";
+
+var _ = require("lodash");
+
+// readyState values, the same for the browser's WebSocket and ws
+var CONNECTING = 0;
+var OPEN = 1;
+var CLOSED = 3;
+
+// closing codes from RFC 6455
+var NORMAL_CLOSURE = 1000;
+var INVALID_PAYLOAD = 1007;
+
+exports.start = function(pair, socket) {
+  var attached = false;
+
+  if(socket.readyState === CONNECTING) {
+    socket.addEventListener("open", attach);
+  } else if(socket.readyState === OPEN) {
+    attach();
+  } else {
+    // closing or closed: no close event is coming to tell the pair
+    pair.disconnect("socket closed");
+    return _.noop;
+  }
+
+  socket.addEventListener("message", incoming);
+  socket.addEventListener("close", closed);
+  socket.addEventListener("error", errored);
+  pair.connection.once("close", pairClosed);
+
+  return function disconnect() {
+    detach();
+    pair.disconnect("disconnected");
+  };
+
+  function attach() {
+    attached = true;
+    pair.setSend(_.partial(exports.send, socket));
+  }
+
+  function detach() {
+    socket.removeEventListener("open", attach);
+    socket.removeEventListener("message", incoming);
+    socket.removeEventListener("close", closed);
+    socket.removeEventListener("error", errored);
+    pair.connection.removeListener("close", pairClosed);
+  }
+
+  function incoming(event) {
+    // ws gives Buffers, browsers strings
+    var data = String(event.data);
+
+    try {
+      var parsed = JSON.parse(data);
+    } catch(e) {
+      var err = new Error("RpcWebSocketTransportJsonParseError");
+      err.data = data;
+      err.original = e;
+
+      // the socket can't be trusted to be speaking our language
+      detach();
+      socket.close(INVALID_PAYLOAD, err.message);
+      pair.disconnect(err);
+      return;
+    }
+
+    pair.incoming(parsed);
+  }
+
+  function closed(event) {
+    detach();
+    if(attached) {
+      pair.disconnect("socket closed");
+    }
+  }
+
+  // neither the browser nor ws say much about errors, and close follows
+  function errored() {
+    if(attached) {
+      pair.disconnect("socket error");
+    }
+  }
+
+  function pairClosed() {
+    detach();
+    if(socket.readyState === CONNECTING || socket.readyState === OPEN) {
+      socket.close(NORMAL_CLOSURE, "closed");
+    }
+  }
+};
+
+exports.send = function(socket, msg) {
+  socket.send(JSON.stringify(msg));
+};
+
+/**
+ * creates a pair with createPair(socket, request) for each connection `server` accepts, and
+ * closes it when the socket closes. returns a function that stops accepting connections and
+ * closes the pairs it made
+ *
+ *     var stop = webSocketTransport.serve(new WebSocketServer({ port: 8080 }), function() {
+ *       var pair = rpc({ name: "server", ... });
+ *       pair.expose(api);
+ *       return pair;
+ *     });
+ */
+exports.serve = function(server, createPair) {
+  var pairs = [];
+
+  server.on("connection", accept);
+
+  return function stop(reason) {
+    server.removeListener("connection", accept);
+    pairs.slice().forEach(function(pair) {
+      pair.close(reason);
+    });
+  };
+
+  function accept(socket, request) {
+    var pair = createPair(socket, request);
+    pairs.push(pair);
+
+    exports.start(pair, socket);
+
+    // the socket's gone for good: another connection gets another pair
+    socket.addEventListener("close", closed);
+    pair.connection.once("close", forget);
+
+    if(socket.readyState === CLOSED) {
+      closed();
+    }
+
+    function closed() {
+      pair.close("socket closed");
+    }
+
+    function forget() {
+      socket.removeEventListener("close", closed);
+      _.pull(pairs, pair);
+    }
+  }
+};
@@ -0,0 +1,87 @@
+/**
+ * a transport over worker_threads: a `Worker` in the thread that started it, `parentPort` in
+ * the worker, or either end of a `MessageChannel`
+ *
+ *     // main thread
+ *     var worker = new Worker("./worker.js");
+ *     workerTransport.start(pair, worker);
+ *
+ *     // worker.js
+ *     workerTransport.start(pair, require("worker_threads").parentPort);
+ *
+ * messages are structured clones rather than JSON. with `{ transfer: true }`, ArrayBuffers in
+ * messages are transferred rather than copied, which leaves them empty on the sending side. the
+ * pair is closed when the worker exits, or the other end of the port closes
+ */
+"use strict";
+
+var _ = require("lodash");
+
+exports.start = function(pair, port, options) {
+  options = _.defaults({}, options, {
+    transfer: false,
+  });
+
+  pair.setSend(function(msg) {
+    port.postMessage(msg, options.transfer ? transferables(msg) : undefined);
+  });
+
+  port.on("message", incoming);
+  port.on("exit", exited);
+  port.on("close", closed);
+  pair.connection.once("close", detach);
+
+  return function disconnect() {
+    detach();
+    pair.disconnect("disconnected");
+  };
+
+  function detach() {
+    port.removeListener("message", incoming);
+    port.removeListener("exit", exited);
+    port.removeListener("close", closed);
+    pair.connection.removeListener("close", detach);
+  }
+
+  function incoming(msg) {
+    pair.incoming(msg);
+  }
+
+  // Workers exit, ports close
+  function exited(code) {
+    var err = new Error("WorkerExited");
+    err.code = code;
+    pair.close(err);
+  }
+
+  function closed() {
+    pair.close("port closed");
+  }
+};
+
+/**
+ * the ArrayBuffers in arrays, plain objects, Maps and Sets within value, each once
+ */
+function transferables(value) {
+  var found = [];
+  collect(value);
+  return found;
+
+  function collect(value) {
+    if(value instanceof ArrayBuffer) {
+      if(found.indexOf(value) === -1) {
+        found.push(value);
+      }
+    } else if(_.isArray(value)) {
+      value.forEach(collect);
+    } else if(_.isPlainObject(value)) {
+      // not _.each, which takes objects with a numeric `length` for arrays
+      _.forOwn(value, collect);
+    } else if(value instanceof Map || value instanceof Set) {
+      value.forEach(function(item, key) {
+        collect(key);
+        collect(item);
+      });
+    }
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * a small validator for a subset of JSON Schema, used to check params and
+ * results of exposed methods
+ *
+ * supports `type` (string or array of), `enum`, `properties`, `required`,
+ * `additionalProperties: false`, `items` (a schema, or an array for tuples),
+ * `minItems`, `maxItems`, `minimum`, `maximum`, `minLength`, `maxLength`
+ * and `pattern`. for anything more, use a full JSON Schema validator via
+ * the pair's `validate` option
+ *
+ *     validate(schema, value) => Array<{ path: string, message: string }>
+ *
+ * returns an empty array if value is valid
+ */
+"use strict";
+
+var _ = require("lodash");
+
+var TYPES = {
+  string: _.isString,
+  number: _.isNumber,
+  integer: _.isInteger,
+  boolean: _.isBoolean,
+  array: _.isArray,
+  object: _.isPlainObject,
+  "null": _.isNull,
+};
+
+exports.validate = function validate(schema, value) {
+  var errors = [];
+  check(schema, value, "", errors);
+  return errors;
+};
+
+function check(schema, value, path, errors) {
+  if(!schema) {
+    return;
+  }
+
+  function fail(message) {
+    errors.push({ path: path || "/", message: message });
+  }
+
+  if(schema.type) {
+    var types = _.castArray(schema.type);
+    var matches = _.some(types, function(type) {
+      if(!TYPES[type]) {
+        throw new Error("unsupported schema type: " + type);
+      }
+      return TYPES[type](value);
+    });
+
+    if(!matches) {
+      return fail("should be " + types.join(" or "));
+    }
+  }
+
+  if(schema.enum && !_.some(schema.enum, _.partial(_.isEqual, value))) {
+    fail("should be one of " + JSON.stringify(schema.enum));
+  }
+
+  if(_.isNumber(value)) {
+    if("minimum" in schema && value < schema.minimum) {
+      fail("should be >= " + schema.minimum);
+    }
+    if("maximum" in schema && value > schema.maximum) {
+      fail("should be <= " + schema.maximum);
+    }
+  }
+
+  if(_.isString(value)) {
+    if("minLength" in schema && value.length < schema.minLength) {
+      fail("should have at least " + schema.minLength + " characters");
+    }
+    if("maxLength" in schema && value.length > schema.maxLength) {
+      fail("should have at most " + schema.maxLength + " characters");
+    }
+    if(schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail("should match " + schema.pattern);
+    }
+  }
+
+  if(_.isArray(value)) {
+    if("minItems" in schema && value.length < schema.minItems) {
+      fail("should have at least " + schema.minItems + " items");
+    }
+    if("maxItems" in schema && value.length > schema.maxItems) {
+      fail("should have at most " + schema.maxItems + " items");
+    }
+
+    if(_.isArray(schema.items)) {
+      schema.items.forEach(function(itemSchema, i) {
+        check(itemSchema, value[i], path + "/" + i, errors);
+      });
+    } else if(schema.items) {
+      value.forEach(function(item, i) {
+        check(schema.items, item, path + "/" + i, errors);
+      });
+    }
+  }
+
+  if(_.isPlainObject(value)) {
+    _.each(schema.required, function(key) {
+      if(!_.has(value, key)) {
+        errors.push({ path: path + "/" + key, message: "is required" });
+      }
+    });
+
+    _.each(schema.properties, function(propertySchema, key) {
+      if(_.has(value, key)) {
+        check(propertySchema, value[key], path + "/" + key, errors);
+      }
+    });
+
+    // not _.each, which takes objects with a numeric `length` for arrays
+    if(schema.additionalProperties === false) {
+      _.forOwn(value, function(v, key) {
+        if(!_.has(schema.properties, key)) {
+          errors.push({ path: path + "/" + key, message: "is not allowed" });
+        }
+      });
+    }
+  }
+}